@@ -0,0 +1,169 @@
+/*==============================================================================
+FMOD Event Browser
+Lists every event in a player's banks as a folder tree, with a play/stop
+control and a one-shot button per event, so a whole bank can be auditioned
+without editing JS.
+
+    var player = new FMODPlayer({ ... });
+    var browser = new FMODEventBrowser(player, "#eventBrowser");
+
+Playing an event from the browser switches the player to it, so the player's
+own controls, timeline and events follow whatever is being auditioned.
+==============================================================================*/
+
+(function(window, document)
+{
+    // Groups event paths into a folder tree.  Each node is { folders: { name: node }, events: [ path ] }.
+    function buildTree(paths)
+    {
+        var root = { folders: {}, events: [] };
+
+        paths.forEach(function(path)
+        {
+            var parts = path.replace(/^event:\//, "").split("/");
+            var node = root;
+
+            for (var i = 0; i < parts.length - 1; i++)
+            {
+                node = node.folders[parts[i]] = node.folders[parts[i]] || { folders: {}, events: [] };
+            }
+
+            node.events.push(path);
+        });
+
+        return root;
+    }
+
+    // Creates a browser for the player's events inside the container element or selector.
+    function FMODEventBrowser(player, container)
+    {
+        var self = this;
+
+        this.player = player;
+        this.container = typeof container === "string" ? document.querySelector(container) : container;
+        this.buttons = {};                  // Play/stop buttons keyed by event path.
+
+        // Rebuilt on every ready, as a retry may have loaded more banks.
+        player.on("ready", function() { self.render(); });
+        player.on("eventchange", function() { self.updateButtons(); });
+        player.on("playbackstate", function() { self.updateButtons(); });
+    }
+
+    // Builds the folder tree from the player's current event list.
+    FMODEventBrowser.prototype.render = function()
+    {
+        // Snapshots are event descriptions too, but they are not something to audition here.
+        var paths = this.player.getEventList().filter(function(path)
+        {
+            return path.indexOf("event:/") == 0;
+        });
+
+        this.buttons = {};
+        this.container.textContent = "";
+        this.container.classList.add("event-browser");
+
+        if (!paths.length)
+        {
+            this.container.textContent = "No events found. Is the strings bank loaded?";
+            return;
+        }
+
+        this.container.appendChild(this.renderNode(buildTree(paths)));
+        this.updateButtons();
+    };
+
+    // Renders one folder's subfolders and events as a list.
+    FMODEventBrowser.prototype.renderNode = function(node)
+    {
+        var self = this;
+        var list = document.createElement("ul");
+
+        Object.keys(node.folders).sort().forEach(function(name)
+        {
+            var item = document.createElement("li");
+            var details = document.createElement("details");
+            var summary = document.createElement("summary");
+
+            details.open = true;
+            summary.textContent = name;
+            details.appendChild(summary);
+            details.appendChild(self.renderNode(node.folders[name]));
+            item.appendChild(details);
+            item.className = "event-browser-folder";
+            list.appendChild(item);
+        });
+
+        node.events.forEach(function(path)
+        {
+            var item = document.createElement("li");
+            var button = document.createElement("button");
+            var oneShot = document.createElement("button");
+            var label = document.createElement("span");
+
+            button.type = "button";
+            button.addEventListener('click', function() { self.toggle(path); });
+
+            // Fires the event over the top of whatever is playing, as often as it is clicked.
+            oneShot.type = "button";
+            oneShot.textContent = "One-shot";
+            oneShot.setAttribute("aria-label", "Play one-shot of " + path);
+            oneShot.addEventListener('click', function()
+            {
+                self.player.requestEvent(path).then(function() { self.player.playOneShot(path); }, function() {});
+            });
+            label.textContent = path.substring(path.lastIndexOf("/") + 1);
+            label.title = path;
+
+            item.className = "event-browser-event";
+            item.appendChild(button);
+            item.appendChild(oneShot);
+            item.appendChild(label);
+            list.appendChild(item);
+
+            self.buttons[path] = button;
+        });
+
+        return list;
+    };
+
+    // Plays the event, loading its banks first if they are lazy, or stops it if it is the one already playing.
+    // A bank that fails to load is reported through the player's "error" event.
+    FMODEventBrowser.prototype.toggle = function(path)
+    {
+        var player = this.player;
+
+        if (player.config.event == path && player.getPlaybackState() != "stopped")
+        {
+            player.stop();
+            return;
+        }
+
+        player.requestEvent(path).then(function()
+        {
+            if (player.selectEvent(path))
+            {
+                player.start();
+            }
+        }, function() {});
+    };
+
+    // Shows "Stop" on the event that is playing and "Play" on the rest.
+    FMODEventBrowser.prototype.updateButtons = function()
+    {
+        var player = this.player;
+
+        for (var path in this.buttons)
+        {
+            var current = player.config.event == path;
+            var playing = current && player.playbackState && player.playbackState != "stopped";
+            var button = this.buttons[path];
+
+            button.textContent = playing ? "Stop" : "Play";
+            button.setAttribute("aria-label", (playing ? "Stop " : "Play ") + path);
+            button.parentNode.classList.toggle("is-selected", current);
+        }
+    };
+
+    window.FMODEventBrowser = FMODEventBrowser;
+
+})(window, document);
@@ -0,0 +1,285 @@
+/*==============================================================================
+FMOD Debug Console
+In-page view of FMOD's own log, for finding out why an event fails on a
+device with no developer tools, e.g. a visitor's phone.  Lines can be
+filtered by level, category and text, and exported to a .txt file to attach
+to a bug report.
+
+    var player = new FMODPlayer({ ... });
+    var debugConsole = new FMODDebugConsole(player, "#fmodConsole");
+
+FMOD only logs from its logging build, fmodstudioL.js.  Pages that pick their
+build with FMODLoader run it when the address has ?fmod=debug; the player's
+debugLevel setting decides how much it logs.
+==============================================================================*/
+
+(function(window, document)
+{
+    var MAX_SHOWN = 1000;               // Matching lines kept on the page, newest last.  Export has them all.
+
+    // Levels each level filter shows.
+    var LEVEL_FILTERS = [
+        { value: "log",     label: "All levels",          levels: [ "error", "warning", "log" ] },
+        { value: "warning", label: "Warnings and errors", levels: [ "error", "warning" ] },
+        { value: "error",   label: "Errors only",         levels: [ "error" ] }
+    ];
+
+    var LEVEL_TAGS = { error: "ERR", warning: "WRN", log: "LOG" };
+    var LEVEL_COLORS = { error: "#f66", warning: "#fc6", log: "inherit" };
+
+    // Formats a log line as text: time, level, function and message, then the source file and line if FMOD gave them.
+    function formatLine(entry)
+    {
+        var time = new Date(entry.time);
+        var text = ("0" + time.getHours()).slice(-2) + ":" + ("0" + time.getMinutes()).slice(-2) + ":" + ("0" + time.getSeconds()).slice(-2)
+            + "." + ("00" + time.getMilliseconds()).slice(-3) + " [" + LEVEL_TAGS[entry.level] + "] ";
+
+        if (entry.func)
+        {
+            text += entry.func + " : ";
+        }
+        text += entry.message;
+        if (entry.file)
+        {
+            text += " (" + entry.file + ":" + entry.line + ")";
+        }
+
+        return text;
+    }
+
+    // Creates a console for the player's log inside the container element or selector.
+    function FMODDebugConsole(player, container)
+    {
+        var self = this;
+
+        this.player = player;
+        this.container = typeof container === "string" ? document.querySelector(container) : container;
+        this.level = "log";
+        this.category = "";
+        this.search = "";
+        this.clearedAt = 0;                 // Lines older than this were cleared from view.
+        this.categories = [];
+        this.queue = [];                    // Lines logged since the last frame, waiting to be shown.
+        this.frame = null;
+
+        this.render();
+        this.showAll();
+
+        player.on("log", function(entry) { self.add(entry); });
+        player.on("ready", function() { self.showAll(); });
+    }
+
+    // Builds the filters, buttons and the list of lines.
+    FMODDebugConsole.prototype.render = function()
+    {
+        var self = this;
+        var toolbar = document.createElement("div");
+
+        this.container.textContent = "";
+        this.container.classList.add("fmod-console");
+
+        this.levelSelect = document.createElement("select");
+        this.levelSelect.setAttribute("aria-label", "Level");
+        LEVEL_FILTERS.forEach(function(filter)
+        {
+            self.levelSelect.appendChild(new Option(filter.label, filter.value));
+        });
+        this.levelSelect.addEventListener('change', function()
+        {
+            self.level = self.levelSelect.value;
+            self.showAll();
+        });
+
+        this.categorySelect = document.createElement("select");
+        this.categorySelect.setAttribute("aria-label", "Category");
+        this.categorySelect.appendChild(new Option("All categories", ""));
+        this.categorySelect.addEventListener('change', function()
+        {
+            self.category = self.categorySelect.value;
+            self.showAll();
+        });
+
+        this.searchInput = document.createElement("input");
+        this.searchInput.type = "search";
+        this.searchInput.placeholder = "Search";
+        this.searchInput.setAttribute("aria-label", "Search the log");
+        this.searchInput.addEventListener('input', function()
+        {
+            self.search = self.searchInput.value.toLowerCase();
+            self.showAll();
+        });
+
+        this.clearButton = document.createElement("button");
+        this.clearButton.type = "button";
+        this.clearButton.textContent = "Clear";
+        this.clearButton.addEventListener('click', function() { self.clear(); });
+
+        this.exportButton = document.createElement("button");
+        this.exportButton.type = "button";
+        this.exportButton.textContent = "Export";
+        this.exportButton.title = "Save the lines that match the filters as a .txt file";
+        this.exportButton.addEventListener('click', function() { self.exportText(); });
+
+        this.count = document.createElement("output");
+
+        this.list = document.createElement("div");
+        this.list.setAttribute("role", "log");
+        this.list.style.cssText = "max-height: 300px; overflow: auto; padding: 6px 8px; background: #111; color: #ddd;"
+            + "font: 11px/1.4 monospace; text-align: left; white-space: pre-wrap; word-break: break-all;";
+
+        [ this.levelSelect, this.categorySelect, this.searchInput, this.clearButton, this.exportButton, this.count ].forEach(function(element)
+        {
+            toolbar.appendChild(element);
+            toolbar.appendChild(document.createTextNode(" "));
+        });
+
+        this.container.appendChild(toolbar);
+        this.container.appendChild(this.list);
+    };
+
+    // Returns true if the line passes the level, category and text filters and was not cleared.
+    FMODDebugConsole.prototype.matches = function(entry)
+    {
+        var filter = LEVEL_FILTERS.filter(function(filter) { return filter.value == this.level; }, this)[0];
+
+        return entry.time >= this.clearedAt
+            && filter.levels.indexOf(entry.level) != -1
+            && (!this.category || entry.category == this.category)
+            && (!this.search || formatLine(entry).toLowerCase().indexOf(this.search) != -1);
+    };
+
+    // Returns the lines of the log that match the filters, oldest first.
+    FMODDebugConsole.prototype.getLines = function()
+    {
+        return this.player.getLog().filter(this.matches, this);
+    };
+
+    // Shows the whole log again, e.g. after a filter changed.
+    FMODDebugConsole.prototype.showAll = function()
+    {
+        var self = this;
+        var lines = this.getLines();
+
+        this.player.getLog().forEach(function(entry) { self.addCategory(entry.category); });
+
+        this.queue = [];
+        this.list.textContent = "";
+        lines.slice(-MAX_SHOWN).forEach(function(entry)
+        {
+            self.list.appendChild(self.renderLine(entry));
+        });
+
+        this.showCount(lines.length);
+    };
+
+    // Takes a new line from the player.  Lines are shown once per frame, as FMOD can log hundreds at a time.
+    FMODDebugConsole.prototype.add = function(entry)
+    {
+        var self = this;
+
+        this.queue.push(entry);
+
+        if (!this.frame)
+        {
+            this.frame = window.requestAnimationFrame(function()
+            {
+                self.frame = null;
+                self.flush();
+            });
+        }
+    };
+
+    // Shows the queued lines that match the filters, keeping the list scrolled to the bottom if it was.
+    FMODDebugConsole.prototype.flush = function()
+    {
+        var self = this;
+        var list = this.list;
+        var atBottom = list.scrollTop + list.clientHeight >= list.scrollHeight - 4;
+
+        this.queue.forEach(function(entry)
+        {
+            self.addCategory(entry.category);
+
+            if (self.matches(entry))
+            {
+                list.appendChild(self.renderLine(entry));
+            }
+        });
+        this.queue = [];
+
+        while (list.children.length > MAX_SHOWN)
+        {
+            list.removeChild(list.firstChild);
+        }
+
+        if (atBottom)
+        {
+            list.scrollTop = list.scrollHeight;
+        }
+
+        this.showCount(this.getLines().length);
+    };
+
+    // Renders one line, coloured by level.
+    FMODDebugConsole.prototype.renderLine = function(entry)
+    {
+        var row = document.createElement("div");
+
+        row.textContent = formatLine(entry);
+        row.style.color = LEVEL_COLORS[entry.level];
+
+        return row;
+    };
+
+    // Adds a category to the category filter the first time a line has it.
+    FMODDebugConsole.prototype.addCategory = function(category)
+    {
+        if (this.categories.indexOf(category) != -1)
+        {
+            return;
+        }
+
+        this.categories.push(category);
+        this.categories.sort();
+        this.categorySelect.insertBefore(new Option(category, category), this.categorySelect.options[this.categories.indexOf(category) + 1] || null);
+    };
+
+    // Shows how many lines match, or why there are none.
+    FMODDebugConsole.prototype.showCount = function(count)
+    {
+        if (!count && this.player.state == "ready" && !this.player.getLogMode())
+        {
+            this.count.textContent = "This FMOD build does not log.  Add ?fmod=debug to the address for the logging build.";
+            return;
+        }
+
+        this.count.textContent = count + (count == 1 ? " line" : " lines") + (count > MAX_SHOWN ? ", the last " + MAX_SHOWN + " shown" : "");
+    };
+
+    // Hides the lines logged so far.  Export leaves them out too.
+    FMODDebugConsole.prototype.clear = function()
+    {
+        this.clearedAt = Date.now();
+        this.showAll();
+    };
+
+    // Saves the lines that match the filters as a text file.
+    FMODDebugConsole.prototype.exportText = function()
+    {
+        var text = this.getLines().map(formatLine).join("\r\n");
+        var link = document.createElement("a");
+        var url = URL.createObjectURL(new Blob([ text ], { type: "text/plain" }));
+
+        link.href = url;
+        link.download = "fmod-log-" + new Date().toISOString().replace(/[:.]/g, "-") + ".txt";
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Some browsers start the download after click() returns.
+        window.setTimeout(function() { URL.revokeObjectURL(url); }, 1000);
+    };
+
+    window.FMODDebugConsole = FMODDebugConsole;
+
+})(window, document);
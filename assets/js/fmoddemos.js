@@ -0,0 +1,242 @@
+/*==============================================================================
+FMOD Demo Pages
+Builds interactive demos from a JSON manifest, so adding one to the site is an
+edit to the manifest rather than a new page.  Each demo gets its own player,
+with artwork, title, description, play and stop buttons, a timeline, load
+status and warnings, and a list of its events to switch between.
+
+    var demos = new FMODDemoPage("#demos", { manifest: "/assets/media/demos.json" });
+    var demos = new FMODDemoPage("#demos", { manifest: "/assets/media/demos.json", demo: "music" });
+
+Only the demo with the given id is built, or the one named by ?demo=id in the
+page address; otherwise every demo in the manifest is.  The manifest:
+
+    {
+        "bankUrl"  : "/assets/media/",                  // defaults for every demo
+        "manifest" : "/assets/media/banks.json",        // bank sizes and hashes, see the player's verifyBank()
+        "offline"  : true,
+        "demos"    : [
+            {
+                "id"          : "music",
+                "title"       : "Music",
+                "description" : "Looping score with beat-synced visuals.",
+                "artwork"     : "images/bg.jpg",
+                "banks"       : [ "Master.bank", "Master.strings.bank" ],
+                "lazyBanks"   : { "Music.bank": { "events": [ "event:/Music/" ], "requires": [ "Music.assets.bank" ] } },
+                "event"       : "event:/Music",         // played first; the first of events if missing
+                "events"      : [ { "path": "event:/Music", "title": "Main theme", "description": "...", "artwork": "..." } ]
+            }
+        ]
+    }
+
+A demo's bankUrl, manifest, offline and other player settings override the
+defaults.  An event's artwork and description replace the demo's while the
+event is selected.
+==============================================================================*/
+
+(function(window, document)
+{
+    // Player settings a manifest may give for the whole site or for one demo.
+    var PLAYER_SETTINGS = [ "bankUrl", "banks", "lazyBanks", "bankBudget", "bankIdle", "voices", "background", "offline", "manifest" ];
+
+    // Reads the manifest and builds the demos inside the container element or selector.
+    // this.ready resolves with the players once the demos are built.
+    function FMODDemoPage(container, options)
+    {
+        var self = this;
+        var match = /[?&]demo=([^&]*)/.exec(window.location.search);
+
+        options = options || {};
+
+        this.container = typeof container === "string" ? document.querySelector(container) : container;
+        this.demo = options.demo || (match ? decodeURIComponent(match[1]) : null);
+        this.players = [];
+
+        this.ready = fetch(options.manifest).then(function(response)
+        {
+            if (!response.ok)
+            {
+                throw new Error("Could not download " + options.manifest + " (HTTP " + response.status + ")");
+            }
+
+            return response.json();
+        })
+        .then(function(manifest)
+        {
+            self.render(manifest);
+            return self.players;
+        })
+        .catch(function(err)
+        {
+            console.error("FMOD demo error:", err);
+            self.container.textContent = "Could not load the demos. " + err.message;
+            throw err;
+        });
+    }
+
+    // Builds a player and its controls for each demo, or just the one asked for.
+    FMODDemoPage.prototype.render = function(manifest)
+    {
+        var self = this;
+        var demos = (manifest.demos || []).filter(function(demo)
+        {
+            return !self.demo || demo.id == self.demo;
+        });
+
+        this.container.textContent = "";
+
+        if (!demos.length)
+        {
+            this.container.textContent = this.demo ? "There is no demo called " + this.demo + "." : "There are no demos.";
+            return;
+        }
+
+        demos.forEach(function(demo)
+        {
+            self.container.appendChild(self.renderDemo(manifest, demo));
+        });
+    };
+
+    // Builds one demo: its player, artwork, text, controls and event list.
+    FMODDemoPage.prototype.renderDemo = function(manifest, demo)
+    {
+        var events = (demo.events || []).map(function(event)
+        {
+            return typeof event === "string" ? { path: event } : event;
+        });
+        var article = document.createElement("article");
+        var parts = {};
+        var config = { elements: {} };
+        var player;
+
+        if (!demo.event && !events.length)
+        {
+            article.textContent = (demo.title || demo.id) + " has no events.";
+            return article;
+        }
+
+        PLAYER_SETTINGS.forEach(function(key)
+        {
+            var value = demo[key] !== undefined ? demo[key] : manifest[key];
+
+            if (value !== undefined)
+            {
+                config[key] = value;
+            }
+        });
+        config.event = demo.event || events[0].path;
+
+        article.className = "fmod-demo";
+        article.innerHTML = '<img class="fmod-demo-artwork" alt="">'
+            + '<h2 class="fmod-demo-title"></h2>'
+            + '<p class="fmod-demo-description"></p>'
+            + '<div class="fmod-demo-controls"><button type="button" data-part="play">Play</button> <button type="button" data-part="stop">Stop</button></div>'
+            + '<div class="fmod-demo-timeline" data-part="timeline"><div class="fmod-demo-timeline-fill" data-part="timelineFill"></div></div>'
+            + '<output data-part="time"></output>'
+            + '<p class="fmod-demo-status"><output data-part="status"></output> <progress data-part="progress" max="1" value="0"></progress>'
+            + ' <button type="button" data-part="retry" hidden>Retry</button>'
+            + ' <button type="button" class="fmod-demo-dismiss" hidden>Dismiss</button></p>'
+            + '<ul class="fmod-demo-events"></ul>';
+
+        Array.prototype.forEach.call(article.querySelectorAll("[data-part]"), function(element)
+        {
+            config.elements[element.getAttribute("data-part")] = element;
+        });
+
+        parts.artwork = article.querySelector(".fmod-demo-artwork");
+        parts.title = article.querySelector(".fmod-demo-title");
+        parts.description = article.querySelector(".fmod-demo-description");
+        parts.events = article.querySelector(".fmod-demo-events");
+        parts.dismiss = article.querySelector(".fmod-demo-dismiss");
+
+        parts.title.textContent = demo.title || demo.id;
+
+        player = new FMODPlayer(config);
+        this.players.push(player);
+
+        // A single event needs no list to pick from.
+        if (events.length > 1)
+        {
+            this.renderEvents(player, events, parts.events);
+        }
+        parts.events.hidden = events.length <= 1;
+
+        function showEvent(path)
+        {
+            var event = events.filter(function(event) { return event.path == path; })[0] || {};
+            var artwork = event.artwork || demo.artwork;
+
+            parts.artwork.hidden = !artwork;
+            if (artwork)
+            {
+                parts.artwork.src = artwork;
+            }
+            parts.description.textContent = event.description || demo.description || "";
+
+            Array.prototype.forEach.call(parts.events.children, function(item)
+            {
+                if (item.getAttribute("data-path") == path)
+                {
+                    item.setAttribute("aria-current", "true");
+                }
+                else
+                {
+                    item.removeAttribute("aria-current");
+                }
+            });
+        }
+
+        player.on("eventchange", showEvent);
+        showEvent(config.event);
+
+        // Warnings, e.g. an event's bank failing to load, show in the status until dismissed.  Worse errors put the
+        // player into its failed state, which shows them with the Retry button.
+        player.on("error", function(err)
+        {
+            if (err.severity == "warning")
+            {
+                player.setStatus(err.message);
+                parts.dismiss.hidden = false;
+            }
+        });
+        player.on("state", function() { parts.dismiss.hidden = true; });
+        parts.dismiss.addEventListener('click', function()
+        {
+            player.setStatus("");
+            parts.dismiss.hidden = true;
+        });
+
+        return article;
+    };
+
+    // Lists the demo's events, each a button that switches the player to it and plays it.
+    FMODDemoPage.prototype.renderEvents = function(player, events, list)
+    {
+        events.forEach(function(event)
+        {
+            var item = document.createElement("li");
+            var button = document.createElement("button");
+
+            button.type = "button";
+            button.textContent = event.title || event.path.substring(event.path.lastIndexOf("/") + 1);
+            button.title = event.path;
+            button.addEventListener('click', function()
+            {
+                player.requestEvent(event.path).then(function()
+                {
+                    if (player.selectEvent(event.path))
+                    {
+                        player.start();
+                    }
+                }, function() {});
+            });
+
+            item.setAttribute("data-path", event.path);
+            item.appendChild(button);
+            list.appendChild(item);
+        });
+    };
+
+    window.FMODDemoPage = FMODDemoPage;
+
+})(window, document);
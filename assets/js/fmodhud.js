@@ -0,0 +1,281 @@
+/*==============================================================================
+FMOD Performance HUD
+Overlay of the statistics the player gathers every update: CPU, channels,
+FMOD heap, Studio buffer usage, DSP buffer and latency, with sparklines of
+recent history to make spikes easy to spot while auditioning on a device.
+Below them, where the runtime and each bank were downloaded from, and why
+any sources tried first failed.
+
+    var player = new FMODPlayer({ ... });
+    var hud = new FMODHud(player);                  // toggled with the ` key
+    var hud = new FMODHud(player, { key: "h" });
+
+Add ?hud to the page address to show it from the start, e.g. on a phone with
+no keyboard.  Statistics are only sampled while the HUD is showing.
+==============================================================================*/
+
+(function(window, document)
+{
+    var SAMPLE_INTERVAL = 100;          // Milliseconds between samples.
+    var HISTORY_LENGTH = 150;           // Samples kept for each sparkline, 15 seconds at SAMPLE_INTERVAL.
+    var SPARKLINE_WIDTH = 150;
+    var SPARKLINE_HEIGHT = 20;
+
+    // Sparkline rows: label, the value sampled from the stats, and the fixed top of the scale, or 0 to scale to the peak.
+    var GRAPHS = [
+        { name: "cpu",      label: "CPU %",      scale: 100, sample: function(stats) { return stats.cpu ? stats.cpu.dsp + stats.cpu.stream + stats.cpu.update : 0; } },
+        { name: "channels", label: "Channels",   scale: 0,   sample: function(stats) { return stats.channelsPlaying || 0; } },
+        { name: "memory",   label: "Heap",       scale: 0,   sample: function(stats) { return stats.memory ? stats.memory.current : 0; } }
+    ];
+
+    // Creates a hidden HUD for the player's statistics.  options.key is the key that toggles it.
+    function FMODHud(player, options)
+    {
+        var self = this;
+
+        this.player = player;
+        this.key = (options && options.key) || "`";
+        this.timer = null;
+        this.history = {};
+        this.element = document.createElement("div");
+        this.details = document.createElement("pre");
+        this.rows = {};
+
+        this.element.className = "fmod-hud";
+        this.element.hidden = true;
+        this.element.setAttribute("aria-hidden", "true");
+        this.element.style.cssText = "position: fixed; top: 8px; right: 8px; z-index: 1000; padding: 8px 10px; background: rgba(0, 0, 0, 0.8);"
+            + "color: #0f0; font: 11px/1.4 monospace; border-radius: 4px; pointer-events: none;";
+        this.details.style.margin = "4px 0 0";
+
+        GRAPHS.forEach(function(graph)
+        {
+            self.history[graph.name] = [];
+            self.element.appendChild(self.renderGraph(graph));
+        });
+        this.element.appendChild(this.details);
+
+        document.body.appendChild(this.element);
+
+        this.onKeyDown = function(e)
+        {
+            // Typing into a form field should never toggle it.
+            if (e.key != self.key || e.ctrlKey || e.metaKey || e.altKey || /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName) || e.target.isContentEditable)
+            {
+                return;
+            }
+
+            self.toggle();
+        };
+        document.addEventListener('keydown', this.onKeyDown);
+
+        player.on("destroy", function() { self.destroy(); });
+
+        if (/[?&]hud\b/.test(window.location.search))
+        {
+            this.show();
+        }
+    }
+
+    // Renders one graph row: label, current value and sparkline canvas.
+    FMODHud.prototype.renderGraph = function(graph)
+    {
+        var row = document.createElement("div");
+        var label = document.createElement("span");
+        var value = document.createElement("span");
+        var canvas = document.createElement("canvas");
+
+        label.textContent = graph.label;
+        label.style.cssText = "display: inline-block; width: 70px;";
+        value.style.cssText = "display: inline-block; width: 90px;";
+        canvas.width = SPARKLINE_WIDTH;
+        canvas.height = SPARKLINE_HEIGHT;
+        canvas.style.verticalAlign = "middle";
+
+        row.appendChild(label);
+        row.appendChild(value);
+        row.appendChild(canvas);
+
+        this.rows[graph.name] = { value: value, canvas: canvas };
+
+        return row;
+    };
+
+    // Shows the HUD and starts sampling.
+    FMODHud.prototype.show = function()
+    {
+        var self = this;
+
+        if (this.timer)
+        {
+            return;
+        }
+
+        this.element.hidden = false;
+        this.timer = setInterval(function() { self.update(); }, SAMPLE_INTERVAL);
+        this.update();
+    };
+
+    // Hides the HUD and stops sampling.  The history is kept for next time.
+    FMODHud.prototype.hide = function()
+    {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.element.hidden = true;
+    };
+
+    // Stops sampling and takes the HUD and its key off the page.  Called when the player is destroyed.
+    FMODHud.prototype.destroy = function()
+    {
+        this.hide();
+        document.removeEventListener('keydown', this.onKeyDown);
+        this.element.remove();
+    };
+
+    // Shows the HUD if hidden, hides it if showing.
+    FMODHud.prototype.toggle = function()
+    {
+        if (this.timer)
+        {
+            this.hide();
+        }
+        else
+        {
+            this.show();
+        }
+    };
+
+    // Takes a sample of the statistics and redraws.
+    FMODHud.prototype.update = function()
+    {
+        var self = this;
+        var stats = this.player.getStats();
+
+        GRAPHS.forEach(function(graph)
+        {
+            var history = self.history[graph.name];
+            var row = self.rows[graph.name];
+            var value = graph.sample(stats);
+
+            history.push(value);
+            if (history.length > HISTORY_LENGTH)
+            {
+                history.shift();
+            }
+
+            row.value.textContent = graph.name == "cpu" ? value.toFixed(1) + " (" + Math.max.apply(null, history).toFixed(1) + ")"
+                                  : graph.name == "memory" ? formatBytes(value)
+                                  : String(value);
+
+            drawSparkline(row.canvas, history, graph.scale || Math.max.apply(null, history));
+        });
+
+        this.details.textContent = describeStats(stats) + describeSources(this.player.getSources());
+    };
+
+    // Draws the history as a line, oldest on the left, with 0 at the bottom and scale at the top.
+    function drawSparkline(canvas, history, scale)
+    {
+        var context = canvas.getContext && canvas.getContext("2d");
+        var step = canvas.width / (HISTORY_LENGTH - 1);
+
+        if (!context)
+        {
+            return;
+        }
+
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.strokeStyle = "#0f0";
+        context.lineWidth = 1;
+        context.beginPath();
+
+        for (var i = 0; i < history.length; i++)
+        {
+            var x = canvas.width - (history.length - 1 - i) * step;
+            var y = canvas.height - 1 - (scale ? Math.min(history[i] / scale, 1) : 0) * (canvas.height - 2);
+
+            if (i == 0)
+            {
+                context.moveTo(x, y);
+            }
+            else
+            {
+                context.lineTo(x, y);
+            }
+        }
+
+        context.stroke();
+    }
+
+    // Lists the statistics that have no graph, one per line.
+    function describeStats(stats)
+    {
+        var lines = [];
+        var cpu = stats.cpu;
+        var memory = stats.memory;
+        var usage = stats.bufferUsage;
+
+        if (cpu)
+        {
+            lines.push("dsp " + cpu.dsp.toFixed(1) + "%  stream " + cpu.stream.toFixed(1) + "%  update " + cpu.update.toFixed(1) + "%");
+        }
+        if (memory)
+        {
+            lines.push("heap " + formatBytes(memory.current) + " / peak " + formatBytes(memory.max) + " / " + formatBytes(memory.total));
+        }
+        if (usage && usage.studiocommandqueue)
+        {
+            lines.push("commands " + describeBuffer(usage.studiocommandqueue));
+            lines.push("handles  " + describeBuffer(usage.studiohandle));
+        }
+        if (stats.bufferSize)
+        {
+            lines.push("buffer " + stats.bufferSize + " x " + stats.numBuffers + "  latency " + stats.latency.toFixed(1) + "ms");
+        }
+        if (stats.mixerRate)
+        {
+            lines.push("mixer " + stats.mixerRate + "Hz  driver " + (stats.driverRate || "?") + "Hz");
+        }
+
+        return lines.join("\n");
+    }
+
+    // Lists where the runtime and banks came from, with the sources that failed before them.
+    function describeSources(sources)
+    {
+        var lines = [];
+        var files = sources.banks.slice();
+
+        if (sources.runtime)
+        {
+            files.unshift({ name: "runtime", source: sources.runtime.source, failures: sources.runtime.failures });
+        }
+
+        files.forEach(function(file)
+        {
+            lines.push(file.name + " from " + file.source);
+            file.failures.forEach(function(failure)
+            {
+                lines.push("  failed " + failure.source + ": " + failure.reason);
+            });
+        });
+
+        return lines.length ? "\n" + lines.join("\n") : "";
+    }
+
+    // Summarises one of Studio's buffers: current and peak use against capacity, and stalls.
+    function describeBuffer(info)
+    {
+        return formatBytes(info.currentusage) + " (peak " + formatBytes(info.peakusage) + ") of " + formatBytes(info.capacity)
+            + (info.stallcount ? ", " + info.stallcount + " stalls" : "");
+    }
+
+    // Formats a byte count in KB or MB.
+    function formatBytes(bytes)
+    {
+        return bytes >= 1024 * 1024 ? (bytes / (1024 * 1024)).toFixed(1) + "MB" : (bytes / 1024).toFixed(1) + "KB";
+    }
+
+    window.FMODHud = FMODHud;
+
+})(window, document);
@@ -0,0 +1,105 @@
+/*==============================================================================
+FMOD Runtime Loader
+Picks which of the vendored FMOD builds a page runs, so builds can be compared
+and old browsers served without editing the HTML:
+
+    wasm    - when the browser has WebAssembly.
+    asm.js  - otherwise, as plain JavaScript.
+    L       - the logging build, in debug mode.
+    reduced - the reduced Core build, for pages that only use the Core API.
+
+    var player = new FMODPlayer({ ..., runtimeUrl: FMODLoader.select().url });
+
+    FMODLoader.load({ api: "core", reduced: true }).then(function(build) { ... FMODModule(...) ... });
+
+The page address can override the choice with ?fmod= and a comma separated
+list of: wasm, asmjs, debug, reduced, upstream, fastcomp.  For example
+?fmod=asmjs,debug runs the logging asm.js build.
+
+The SDK's Studio builds have no fastcomp asm.js script, so the Studio API's
+asm.js fallback comes from the upstream toolchain.
+==============================================================================*/
+
+(function(window, document)
+{
+    var API_PATH = "./assets/api/fmodstudioapi20226html5/api/";     // Where the SDK's api folder is vendored.
+
+    // Returns the flags given with ?fmod= in the page address.
+    function getQueryFlags()
+    {
+        var match = /[?&]fmod=([^&]*)/.exec(window.location.search);
+
+        return match ? decodeURIComponent(match[1]).split(",") : [];
+    }
+
+    // Returns true if the browser can run the wasm builds.
+    function hasWebAssembly()
+    {
+        return typeof WebAssembly === "object" && typeof WebAssembly.instantiate === "function";
+    }
+
+    // Picks a build: { url, api, toolchain, format, debug, reduced }.  options, all optional:
+    //   api       - "studio" (default) or "core".
+    //   toolchain - "fastcomp" (default) or "upstream".
+    //   format    - "wasm" or "asmjs", chosen from the browser's capabilities when not given.
+    //   debug     - true for the logging (L) build.
+    //   reduced   - true for the reduced build, Core API only.
+    //   path      - where the SDK's api folder is, if not under assets/api/.
+    // Flags in the page address win over the options.
+    function select(options)
+    {
+        var flags = getQueryFlags();
+        var build = {};
+
+        options = options || {};
+
+        function flag(name)
+        {
+            return flags.indexOf(name) != -1;
+        }
+
+        build.api = options.api || "studio";
+        build.format = flag("wasm") ? "wasm" : flag("asmjs") ? "asmjs" : options.format || (hasWebAssembly() ? "wasm" : "asmjs");
+        build.toolchain = flag("upstream") ? "upstream" : flag("fastcomp") ? "fastcomp" : options.toolchain || "fastcomp";
+        build.debug = flag("debug") || !!options.debug;
+        build.reduced = (flag("reduced") || !!options.reduced) && !build.debug;
+
+        if (build.reduced && build.api != "core")
+        {
+            console.warn("FMOD has no reduced Studio build; using the full one.");
+            build.reduced = false;
+        }
+        if (build.api == "studio" && build.format == "asmjs")
+        {
+            build.toolchain = "upstream";
+        }
+
+        build.url = (options.path || API_PATH) + build.api + "/lib/" + build.toolchain + "/"
+            + (build.format == "wasm" ? "wasm" : build.toolchain == "upstream" ? "js" : "asm.js") + "/"
+            + (build.api == "studio" ? "fmodstudio" : "fmod") + (build.debug ? "L" : build.reduced ? "_reduced" : "") + ".js";
+
+        return build;
+    }
+
+    // Adds the selected build's script to the page.  Resolves with the build once FMODModule is defined.
+    function load(options)
+    {
+        var build = select(options);
+
+        return new Promise(function(resolve, reject)
+        {
+            var script = document.createElement("script");
+
+            script.onload = function() { resolve(build); };
+            script.onerror = function() { reject(new Error("Could not load the FMOD build " + build.url)); };
+            script.src = build.url;
+            document.head.appendChild(script);
+        });
+    }
+
+    window.FMODLoader = {
+        select : select,
+        load   : load
+    };
+
+})(window, document);
@@ -0,0 +1,104 @@
+/*==============================================================================
+FMOD Mixer
+Master volume and mute, plus a fader for every VCA in the loaded banks.
+
+    var player = new FMODPlayer({ ... });
+    var mixer = new FMODMixer(player, "#mixer");
+
+The master bus and VCAs are shared by every player on the page, and the
+player saves their levels, so a returning visitor hears the level they left
+it at.  Pages that only need master volume and mute can pass volume and mute
+elements to the player instead.
+==============================================================================*/
+
+(function(window, document)
+{
+    // Creates a mixer for the player's master bus and VCAs inside the container element or selector.
+    function FMODMixer(player, container)
+    {
+        var self = this;
+
+        this.player = player;
+        this.container = typeof container === "string" ? document.querySelector(container) : container;
+        this.faders = {};                   // Range inputs keyed by "bus:/" for the master, or by VCA path.
+        this.mute = null;
+
+        // Rebuilt on every ready, as each player may bring in more VCAs.
+        player.on("ready", function() { self.render(); });
+        player.on("volumechange", function() { self.update(); });
+
+        this.render();
+    }
+
+    // Builds the master row and a fader per VCA.
+    FMODMixer.prototype.render = function()
+    {
+        var self = this;
+        var player = this.player;
+        var master = this.renderFader("Master", player.getVolume(), function(value) { player.setVolume(value); });
+
+        this.faders = { "bus:/": master.fader };
+        this.mute = document.createElement("button");
+        this.mute.type = "button";
+        this.mute.addEventListener('click', function() { player.setMuted(!player.isMuted()); });
+        master.row.appendChild(this.mute);
+
+        this.container.textContent = "";
+        this.container.classList.add("mixer");
+        this.container.appendChild(master.row);
+
+        player.getVCAs().forEach(function(vca)
+        {
+            var row = self.renderFader(vca.path.replace(/^vca:\//, ""), vca.volume, function(value) { player.setVCAVolume(vca.path, value); });
+
+            self.faders[vca.path] = row.fader;
+            self.container.appendChild(row.row);
+        });
+
+        this.update();
+    };
+
+    // Renders a labelled fader from 0 to 1.
+    FMODMixer.prototype.renderFader = function(name, volume, onInput)
+    {
+        var row = document.createElement("label");
+        var label = document.createElement("span");
+        var fader = document.createElement("input");
+
+        label.textContent = name;
+        fader.type = "range";
+        fader.min = 0;
+        fader.max = 1;
+        fader.step = 0.01;
+        fader.value = volume;
+        fader.addEventListener('input', function() { onInput(Number(fader.value)); });
+
+        row.appendChild(label);
+        row.appendChild(fader);
+
+        return { row: row, fader: fader };
+    };
+
+    // Moves the faders and mute button to the player's current settings, e.g. after another control changed them.
+    FMODMixer.prototype.update = function()
+    {
+        var player = this.player;
+        var muted = player.isMuted();
+
+        this.faders["bus:/"].value = player.getVolume();
+
+        player.getVCAs().forEach(function(vca)
+        {
+            if (this.faders[vca.path])
+            {
+                this.faders[vca.path].value = vca.volume;
+            }
+        }, this);
+
+        this.mute.textContent = muted ? "Unmute" : "Mute";
+        this.mute.setAttribute("aria-pressed", muted);
+    };
+
+    window.FMODMixer = FMODMixer;
+
+})(window, document);
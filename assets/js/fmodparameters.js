@@ -0,0 +1,133 @@
+/*==============================================================================
+FMOD Parameter Panel
+Builds a control for every parameter the page can set, straight from the
+parameter descriptions in the banks:
+
+    continuous - a slider from the parameter's minimum to maximum.
+    labeled    - a dropdown of the parameter's labels.
+    discrete   - a toggle when the parameter is on/off, otherwise a slider in
+                 whole steps.
+
+    var player = new FMODPlayer({ ... });
+    var parameters = new FMODParameterPanel(player, "#eventParameters");
+    var globals = new FMODParameterPanel(player, "#globalParameters", { global: true });
+
+The event panel follows the player's current event.  The global panel lists
+the global parameters in the loaded banks, which apply to every event.
+==============================================================================*/
+
+(function(window, document)
+{
+    // Creates a panel for the player's current event, or for the global parameters when options.global is set.
+    function FMODParameterPanel(player, container, options)
+    {
+        var self = this;
+
+        this.player = player;
+        this.container = typeof container === "string" ? document.querySelector(container) : container;
+        this.global = !!(options && options.global);
+
+        player.on("ready", function() { self.render(); });
+
+        if (!this.global)
+        {
+            // A new instance starts from the defaults, so the controls are rebuilt to match.
+            player.on("eventchange", function() { self.render(); });
+        }
+    }
+
+    // Builds a control for each of the parameters.
+    FMODParameterPanel.prototype.render = function()
+    {
+        var self = this;
+        var parameters = this.global ? this.player.getGlobalParameters() : this.player.getParameters();
+
+        this.container.textContent = "";
+        this.container.classList.add("parameter-panel");
+
+        if (!parameters.length)
+        {
+            this.container.textContent = this.global ? "No global parameters." : "This event has no parameters.";
+            return;
+        }
+
+        parameters.forEach(function(parameter)
+        {
+            self.container.appendChild(self.renderParameter(parameter));
+        });
+    };
+
+    // Renders one parameter as a label, its control and the current value.
+    FMODParameterPanel.prototype.renderParameter = function(parameter)
+    {
+        var self = this;
+        var row = document.createElement("label");
+        var name = document.createElement("span");
+        var value = document.createElement("output");
+        var control;
+
+        if (parameter.kind == "labeled")
+        {
+            control = document.createElement("select");
+            parameter.labels.forEach(function(label, index)
+            {
+                var option = document.createElement("option");
+
+                option.value = Math.floor(parameter.minimum) + index;
+                option.textContent = label;
+                control.appendChild(option);
+            });
+            control.value = parameter.defaultValue;
+        }
+        else if (parameter.kind == "discrete" && parameter.maximum - parameter.minimum == 1)
+        {
+            control = document.createElement("input");
+            control.type = "checkbox";
+            control.checked = parameter.defaultValue == parameter.maximum;
+        }
+        else
+        {
+            control = document.createElement("input");
+            control.type = "range";
+            control.min = parameter.minimum;
+            control.max = parameter.maximum;
+            control.step = parameter.kind == "discrete" ? 1 : (parameter.maximum - parameter.minimum) / 100;
+            control.value = parameter.defaultValue;
+        }
+
+        // Dropdowns and toggles name the value themselves.
+        value.hidden = control.type != "range";
+        value.textContent = formatValue(parameter.defaultValue);
+        name.textContent = parameter.name;
+
+        control.addEventListener('input', function()
+        {
+            var current = control.type == "checkbox" ? (control.checked ? parameter.maximum : parameter.minimum) : Number(control.value);
+
+            value.textContent = formatValue(current);
+            self.set(parameter, current);
+        });
+
+        row.className = "parameter-" + parameter.kind;
+        row.appendChild(name);
+        row.appendChild(control);
+        row.appendChild(value);
+
+        return row;
+    };
+
+    // Sends a new value to the event instance, or to the system for a global parameter.
+    FMODParameterPanel.prototype.set = function(parameter, value)
+    {
+        return this.global ? this.player.setGlobalParameter(parameter.id, value) : this.player.setParameter(parameter.id, value);
+    };
+
+    // Rounds a value for display, without trailing zeros.
+    function formatValue(value)
+    {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    window.FMODParameterPanel = FMODParameterPanel;
+
+})(window, document);
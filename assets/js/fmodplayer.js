@@ -0,0 +1,3619 @@
+/*==============================================================================
+FMOD Player
+Reusable FMOD Studio event player for the audio demos on this site.
+
+The FMOD runtime and Studio system are created once per page and shared by
+every player, so several independent players can run side by side.  The
+runtime releases everything on pagehide and starts again if the page comes
+back from the back/forward cache.  With offline and a manifest in the config,
+the banks, the runtime and the FMOD pages are cached for repeat and offline
+visits by the service worker in /fmod-sw.js.  Each player is described by a
+config object:
+
+    var player = new FMODPlayer({
+        bankUrl  : "/assets/media/",
+        banks    : [ "Master.bank", "Master.strings.bank" ],
+        event    : "event:/Music",
+        elements : { play: "#play", stop: "#stop", status: "#display_out", progress: "#progress", retry: "#retry" }
+    });
+
+    player.on("state", function(state) { ... });    // loading, ready or failed
+    player.on("ready", function() { ... });
+    player.on("audiostate", function(state) { ... });  // locked until a user gesture, then running; interrupted if the browser stops it
+    player.getSources();                            // which host each bank came from, and why any tried first failed
+    player.getLog();                                // FMOD's own log lines, when the logging build runs (?fmod=debug)
+    player.start();
+    player.pause();                                 // resume() carries on from the same position
+    player.stop();                                  // with Studio's fade out, or { immediate: true } or { fade: ms }
+    player.seek(90000);                             // jump to 1:30; the timeline element also seeks by click, drag and arrow keys
+    player.playOneShot("event:/UI/Click");          // fire and forget, within the event's voices limit
+    player.startSnapshot("snapshot:/Underwater", 50);   // at half intensity; stopSnapshot() lets the mix ease back
+    player.crossfadeTo("event:/Music2", 3000);      // fade into another event; addBanks() first if it is in other banks
+    player.set3DAttributes({ position: { x: 2, y: 0, z: 5 } });     // place a 3D event, in metres; setListenerAttributes() moves the listener
+    player.setVolume(0.5);                          // master volume and mute are saved and restored on the next visit
+    player.destroy();                               // releases the instance and any banks no other player uses
+
+    document.addEventListener("fmodbeat", function(e) { ... });     // e.detail: bar, beat, tempo, timeSignature, position
+    document.addEventListener("fmodmarker", function(e) { ... });   // e.detail: name, position
+
+Based on the Simple Event Example from the FMOD Studio API.
+Copyright (c), Firelight Technologies Pty, Ltd 2012-2024.
+For information on using FMOD example code in your own programs, visit
+https://www.fmod.com/legal
+==============================================================================*/
+
+(function(window, document)
+{
+    //==========================================================================
+    // Shared runtime
+    //==========================================================================
+
+    var runtime = null;                 // Shared FMOD runtime, created by the first player.
+
+    var defaults = {
+        bankUrl    : "/assets/media/",                        // Base URL the banks are downloaded from, or a list of them to try in
+                                                              // order, e.g. a remote host first and the copy under assets/ last.
+        runtimeUrl : null,                                    // URL of fmodstudio.js, or a list to try in order, for pages that do
+                                                              // not include it with a script tag.
+        timeout    : 10000,                                   // Milliseconds a bank or runtime source has to answer, and a runtime
+                                                              // script to load and start, before the next one is tried.  The last
+                                                              // runtime source, or the only one, is given as long as it takes.
+        banks      : [ "Master.bank", "Master.strings.bank" ], // Banks to load, in order.
+        event      : "event:/Music",                          // Event path played by this player.
+        elements   : {},                                      // Elements or selectors: play, stop, pause, restart, status, progress, retry,
+                                                              // timeline, timelineFill, time, volume, mute.
+        target     : null,                                    // Element or selector the fmodbeat and fmodmarker DOM events are
+                                                              // dispatched on, or null for the document.
+        background : false,                                   // Keep playing while the page is hidden.  Otherwise the mixer is
+                                                              // suspended until the page is shown again.
+        voices     : {},                                      // Limits for playOneShot(), by event path: { max, steal }, where steal
+                                                              // is oldest, quietest or none.  "*" applies to every other event.
+                                                              // Missing fields come from DEFAULT_VOICES.
+        lazyBanks  : {},                                      // Banks only loaded once one of their events is asked for, by name:
+                                                              // { events, requires }.  events lists event paths, or folders ending
+                                                              // in "/"; requires lists other banks it needs, e.g. its assets bank.
+        bankBudget : 0,                                       // Bytes of lazy banks to keep loaded, 0 for no limit.  The least
+                                                              // recently used are unloaded first.
+        bankIdle   : 60000,                                   // Milliseconds a lazy bank nothing is using stays loaded, 0 to keep it.
+        offline    : false,                                   // Cache the banks and runtime for offline use.  Needs a manifest: the
+                                                              // cache is versioned by the banks' hashes in it, so a new export
+                                                              // replaces it.  See cacheFiles().
+        manifest   : null,                                    // URL of the banks' manifest, to check each download against before
+                                                              // loading it, or null to load them unchecked.  See verifyBank().
+        debugLevel : "log"                                    // FMOD messages the logging build (fmodstudioL.js) collects for getLog():
+                                                              // error, warning, log or none.  Like runtimeUrl, the first player's wins.
+    };
+
+    var DEFAULT_VOICES = { max: 8, steal: "oldest" };         // Limit for one-shots of events the voices config does not cover.
+
+    var SEEK_STEP = 5000;               // Milliseconds moved by each arrow key press on the timeline.
+    var PATH_SIZE = 512;                // Buffer size for paths read back from FMOD.
+    var UPDATE_INTERVAL = 20;           // Milliseconds between updates, 50 frames per second.
+    var BACKGROUND_INTERVAL = 100;      // Milliseconds between updates while the page is hidden and a player plays in the background.
+    var UNLOCK_TIMEOUT = 1000;          // Milliseconds a gesture has to get the audio context running.
+    var UNLOCK_GESTURES = [ "pointerdown", "pointerup", "touchend", "click", "keydown" ];   // Events browsers accept as user gestures.
+    var BANK_CHECK_INTERVAL = 1000;     // Milliseconds between checks for lazy banks that are idle or over the budget.
+    var BANK_GRACE = 5000;              // Milliseconds a lazy bank is kept after it was asked for, so it is there when the event is used.
+    var RETRY_COUNT = 3;                // Attempts made by the "retry" error policy before it gives up and warns.
+    var MIXER_KEY = "fmodplayer.mixer"; // localStorage key the mixer settings are saved under.
+    var CACHE_WORKER = "/fmod-sw.js";   // Service worker that caches the banks and runtime, at the site root so it covers every page.
+    var LOG_LIMIT = 5000;               // FMOD log lines kept for getLog(), oldest dropped first.
+
+    // What to do when an FMOD call fails, keyed by API call.  "*" covers every call not listed.
+    //   ignore - carry on silently.
+    //   warn   - report on the error channel once, until the call succeeds again, and carry on.
+    //   retry  - call again up to RETRY_COUNT times, then warn.
+    //   fatal  - report and throw, which puts the players into the failed state.
+    var errorPolicies = {
+        "*"                                                        : "fatal",
+        "Studio::System::update"                                   : "retry",
+        "System::getCPUUsage"                                      : "ignore",
+        "System::getChannelsPlaying"                               : "ignore",
+        "System::getDSPBufferSize"                                 : "ignore",
+        "System::getSoftwareFormat"                                : "ignore",
+        "Memory_GetStats"                                          : "ignore",
+        "Debug_Initialize"                                         : "ignore",
+        "Studio::System::getBufferUsage"                           : "ignore",
+        "System::getDriverInfo"                                    : "warn",
+        "System::setSoftwareFormat"                                : "warn",
+        "System::setDSPBufferSize"                                 : "warn",
+        "System::mixerSuspend"                                     : "warn",
+        "System::mixerResume"                                      : "warn",
+        "Studio::EventInstance::release"                           : "warn",
+        "Studio::Bank::unload"                                     : "warn",
+        "Studio::System::release"                                  : "warn",
+        "Studio::EventInstance::start"                             : "warn",
+        "Studio::EventInstance::stop"                              : "warn",
+        "Studio::EventInstance::setPaused"                         : "warn",
+        "Studio::EventInstance::getPaused"                         : "ignore",
+        "Studio::EventInstance::getVolume"                         : "ignore",
+        "Studio::EventInstance::getTimelinePosition"               : "ignore",
+        "Studio::EventInstance::setTimelinePosition"               : "warn",
+        "Studio::EventDescription::getLength"                      : "warn",
+        "Studio::EventDescription::getPath"                        : "warn",
+        "Studio::Bank::getEventCount"                              : "warn",
+        "Studio::Bank::getEventList"                               : "warn",
+        "Studio::EventInstance::setVolume"                         : "warn",
+        "Studio::EventInstance::getPlaybackState"                  : "ignore",
+        "Studio::EventInstance::setCallback"                       : "warn",
+        "Studio::EventDescription::getParameterDescriptionCount"   : "warn",
+        "Studio::EventDescription::getParameterDescriptionByIndex" : "warn",
+        "Studio::EventDescription::getParameterLabelByIndex"       : "ignore",
+        "Studio::EventInstance::setParameterByID"                  : "warn",
+        "Studio::EventInstance::setParameterByName"                : "warn",
+        "Studio::System::getParameterDescriptionCount"             : "warn",
+        "Studio::System::getParameterDescriptionList"              : "warn",
+        "Studio::System::getParameterLabelByID"                    : "ignore",
+        "Studio::System::setParameterByID"                         : "warn",
+        "Studio::System::getBus"                                   : "warn",
+        "Studio::Bank::getVCACount"                                : "warn",
+        "Studio::Bank::getVCAList"                                 : "warn",
+        "Studio::VCA::getPath"                                     : "warn",
+        "Studio::VCA::setVolume"                                   : "warn",
+        "Studio::Bus::setVolume"                                   : "warn",
+        "Studio::Bus::setMute"                                     : "warn",
+        "Studio::EventInstance::set3DAttributes"                   : "warn",
+        "Studio::System::setListenerAttributes"                    : "warn",
+        "Studio::EventDescription::is3D"                           : "ignore",
+        "Studio::EventDescription::getMinMaxDistance"              : "ignore"
+    };
+
+    // Error for an FMOD call that did not return FMOD.OK.
+    // Carries the result code, FMOD's description of it, and the API call that failed.  Failed bank loads also carry
+    // the bank's name as bank.
+    function FMODError(result, call)
+    {
+        this.name = "FMODError";
+        this.result = result;
+        this.errorString = runtime.FMOD.ErrorString(result);
+        this.call = call;
+        this.severity = "fatal";            // fatal or warning, decided by the call's policy.
+        this.message = call + " failed: " + this.errorString;
+        this.stack = (new Error(this.message)).stack;
+    }
+
+    FMODError.prototype = Object.create(Error.prototype);
+    FMODError.prototype.constructor = FMODError;
+
+    // Runs fn, which makes one FMOD API call and returns its result, and applies that call's error policy.
+    // Errors are reported to the owning player, or to every player when there is no owner.
+    // Returns true when the call succeeded.  Fatal errors are thrown.
+    function check(call, fn, owner)
+    {
+        var policy = errorPolicies[call] || errorPolicies["*"];
+        var attempts = policy == "retry" ? RETRY_COUNT : 1;
+        var result;
+
+        for (var i = 0; i < attempts; i++)
+        {
+            result = fn();
+
+            if (result == runtime.FMOD.OK)
+            {
+                delete runtime.warned[call];
+                return true;
+            }
+        }
+
+        if (policy == "ignore")
+        {
+            return false;
+        }
+
+        var error = new FMODError(result, call);
+
+        if (policy == "fatal")
+        {
+            reportError(error, owner);
+            throw error;
+        }
+
+        // Warn once per failing call, rather than once per frame.
+        error.severity = "warning";
+        if (runtime.warned[call] !== result)
+        {
+            runtime.warned[call] = result;
+            console.warn(error.message);
+            reportError(error, owner);
+        }
+
+        return false;
+    }
+
+    // Sends an error to the error channel of its owner, or of every player.
+    function reportError(error, owner)
+    {
+        var players = owner ? [ owner ] : runtime.players.slice();
+
+        error.reported = true;
+
+        for (var i = 0; i < players.length; i++)
+        {
+            players[i].emit("error", error);
+        }
+    }
+
+    // Boots the FMOD runtime the first time it is asked for, loading fmodstudio.js from the config's runtimeUrl if
+    // the page has not.  Returns a promise for the runtime.
+    function getRuntime(config)
+    {
+        if (runtime)
+        {
+            return runtime.ready;
+        }
+
+        runtime = {
+            FMOD        : {},           // FMOD object which the constructor function fills in.
+            system      : null,         // 'System' object which has the Studio API functions.
+            core        : null,         // 'SystemCore' object which has the Core API functions.
+            banks       : {},           // Bank records, keyed by bank name.
+            pending     : [],           // Banks waiting on a non-blocking load.
+            players     : [],           // Players updated from the application loop.
+            stats       : {},           // System statistics gathered every update.
+            warned      : {},           // Last result reported for each call under the warn policy.
+            running     : false,        // True from startApplication() until a fatal error halts the loop.
+            interval    : null,         // Application loop timer, null while the loop is stopped or paused.
+            rate        : null,         // Milliseconds between updates of the current timer.
+            suspended   : false,        // True while the mixer is suspended for a hidden page.
+            audioState  : "locked",     // locked, unlocking, running or interrupted.  See unlockAudio().
+            unlocked    : false,        // True once audio has run since the system was created.
+            unlockTimer : null,         // Gives up on an unlock the browser did not accept.
+            mixer       : loadMixer(),  // Master volume, mute and VCA levels, as saved by the last visit.
+            masterBus   : null,         // Studio master bus, once the master bank has loaded.
+            vcas        : {},           // VCAs found in the loaded banks, keyed by path.
+            bankCheck   : 0,            // Time of the last checkLazyBanks().
+            manifests   : {},           // Bank manifests being downloaded or read, keyed by URL.  See loadManifest().
+            unreachable : {},           // Why each source that could not be reached failed, keyed by URL.  Tried last from then on.
+            source      : null,         // Where the runtime script came from: { source, failures }, or null if the page included it.
+            debugLevel  : config.debugLevel,   // FMOD messages to log, from the first player's config.
+            logging     : null,         // How FMOD's log reaches getLog(): callback, tty, or null if this build does not log.
+            log         : [],           // FMOD's log lines, oldest first, at most LOG_LIMIT.  See addLogLine().
+            listener    : null          // Listener position given to setListenerAttributes(), applied again to a restored system.
+        };
+
+        runtime.ready = startRuntime(config);
+
+        return runtime.ready;
+    }
+
+    // Boots the runtime from fmodstudio.js, loaded from the first of the config's runtimeUrl sources that both answers
+    // and starts, unless the page already has it.  A script can load and still fail to start, e.g. when the host
+    // serves its wasm without CORS.  Only a source with another after it is timed out: on a slow connection the last
+    // one may need far longer than the timeout to download and compile its wasm.  Resolves with the runtime.
+    function startRuntime(config)
+    {
+        var started;
+
+        if (typeof FMODModule !== "undefined" || !config.runtimeUrl)
+        {
+            started = bootRuntime();
+        }
+        else
+        {
+            started = trySources([].concat(config.runtimeUrl), function(url, more)
+            {
+                var timeout = more ? config.timeout : 0;
+
+                return loadScript(url, timeout).then(function()
+                {
+                    return bootRuntime(timeout);
+                });
+            })
+            .then(function(result)
+            {
+                runtime.source = { source: result.source, failures: result.failures };
+            });
+        }
+
+        return started.then(function()
+        {
+            return runtime;
+        }, function(err)
+        {
+            // Let the next player or retry start over with a fresh runtime.
+            runtime = null;
+            throw err;
+        });
+    }
+
+    // Adds a script to the page.  Resolves once it has run, or rejects if it fails to load, or to load within the
+    // timeout if there is one.
+    function loadScript(url, timeout)
+    {
+        return new Promise(function(resolve, reject)
+        {
+            var script = document.createElement("script");
+            var timer = timeout ? window.setTimeout(function()
+            {
+                script.onload = script.onerror = null;
+                script.remove();
+                reject(new Error("No answer within " + timeout + "ms"));
+            }, timeout) : null;
+
+            script.onload = function()
+            {
+                window.clearTimeout(timer);
+                resolve();
+            };
+            script.onerror = function()
+            {
+                window.clearTimeout(timer);
+                script.remove();
+                reject(new Error("Unreachable, or blocked"));
+            };
+            script.src = url;
+            document.head.appendChild(script);
+        });
+    }
+
+    // Calls attempt(url, more) for each source in turn until one resolves, where more is true while there are sources
+    // left to fall back on.  Sources that could not be reached before are tried last.  Resolves with { source, failures, value }, where failures lists { source, reason } for each source
+    // that was tried and failed, or rejects with an error naming them all.
+    function trySources(sources, attempt)
+    {
+        var failures = [];
+        var lastError;
+        var ordered = sources.filter(function(source) { return !runtime.unreachable[source]; })
+            .concat(sources.filter(function(source) { return runtime.unreachable[source]; }));
+
+        function next(index)
+        {
+            var source = ordered[index];
+
+            // With a single source, its own error says it best.
+            if (index == ordered.length)
+            {
+                return Promise.reject(failures.length == 1 ? lastError : new Error("Every source failed. " + failures.map(function(failure)
+                {
+                    return failure.source + ": " + failure.reason;
+                }).join("; ")));
+            }
+
+            return attempt(source, index < ordered.length - 1).then(function(value)
+            {
+                delete runtime.unreachable[source];
+                return { source: source, failures: failures, value: value };
+            }, function(err)
+            {
+                // Files a host does not have are not its fault; anything else means the host is no good for now.
+                if (!err.status)
+                {
+                    runtime.unreachable[source] = err.message;
+                }
+                if (ordered.length > 1)
+                {
+                    console.warn("FMOD source " + source + " failed, trying the next: " + err.message);
+                }
+
+                failures.push({ source: source, reason: err.message });
+                lastError = err;
+                return next(index + 1);
+            });
+        }
+
+        return next(0);
+    }
+
+    // Creates the FMOD module, then the Studio system once the module has initialized.  Rejects if the module aborts,
+    // e.g. when its wasm cannot be downloaded or compiled, or has not initialized within the timeout if there is one.
+    function bootRuntime(timeout)
+    {
+        // A fresh object for each attempt, so a module given up on cannot call back into the next one.
+        var FMOD = runtime.FMOD = {};
+
+        return new Promise(function(resolve, reject)
+        {
+            var timer = timeout ? window.setTimeout(function()
+            {
+                fail(new Error("FMOD did not start within " + timeout + "ms"));
+            }, timeout) : null;
+
+            function fail(err)
+            {
+                window.clearTimeout(timer);
+                FMOD['onRuntimeInitialized'] = FMOD['onAbort'] = function() {};
+                reject(err);
+            }
+
+            FMOD['onRuntimeInitialized'] = function()   // Called when the Emscripten runtime has initialized
+            {
+                window.clearTimeout(timer);
+
+                try
+                {
+                    initSystem();
+                    bindPage();
+                    resolve(runtime);
+                }
+                catch (err)
+                {
+                    reject(err);
+                }
+            };
+            FMOD['onAbort'] = function(what)            // Called instead when the runtime cannot start
+            {
+                fail(new Error("FMOD could not start: " + what));
+            };
+            FMOD['INITIAL_MEMORY'] = 64*1024*1024;      // FMOD Heap defaults to 16mb, give the demos some room (64mb)
+            FMOD['print'] = function(text)              // Console output of the runtime, which the logging build's tty mode uses
+            {
+                console.log(text);
+                addLogLine(parseLogLine(text));
+            };
+            FMOD['printErr'] = function(text)
+            {
+                console.warn(text);
+                addLogLine(parseLogLine(text));
+            };
+
+            try
+            {
+                FMODModule(FMOD);                       // Calling the constructor function with our object
+            }
+            catch (err)
+            {
+                fail(err);
+            }
+        });
+    }
+
+    // Creates and initializes the Studio system, then starts the application loop.
+    function initSystem()
+    {
+        var FMOD = runtime.FMOD;
+        var outval = {};
+
+        startDebugLog();
+
+        console.log("Creating FMOD System object\n");
+
+        check("Studio::System::create", function() { return FMOD.Studio_System_Create(outval); });
+        runtime.system = outval.val;
+
+        check("Studio::System::getCoreSystem", function() { return runtime.system.getCoreSystem(outval); });
+        runtime.core = outval.val;
+
+        // Optional.  Setting DSP Buffer size can affect latency and stability.
+        // Processing is currently done in the main thread so anything lower than 2048 samples can cause stuttering on some devices.
+        check("System::setDSPBufferSize", function() { return runtime.core.setDSPBufferSize(2048, 2); });
+
+        // Optional.  Set sample rate of mixer to be the same as the OS output rate.
+        // This can save CPU time and latency by avoiding the automatic insertion of a resampler at the output stage.
+        if (check("System::getDriverInfo", function() { return runtime.core.getDriverInfo(0, null, null, outval, null, null); }))
+        {
+            check("System::setSoftwareFormat", function() { return runtime.core.setSoftwareFormat(outval.val, FMOD.SPEAKERMODE_DEFAULT, 0); });
+        }
+
+        // 1024 virtual channels
+        console.log("initialize FMOD\n");
+        check("Studio::System::initialize", function() { return runtime.system.initialize(1024, FMOD.STUDIO_INIT_NORMAL, FMOD.INIT_NORMAL, null); });
+
+        if (runtime.listener)
+        {
+            setListener(runtime.listener);
+        }
+
+        // A new system has a new audio context, which may need unlocking again.
+        var context = getAudioContext();
+        if (context)
+        {
+            context.addEventListener('statechange', checkAudioContext);
+        }
+        runtime.unlocked = false;
+        setAudioState("locked");
+        checkAudioContext();
+
+        startApplication();
+    }
+
+    //==========================================================================
+    // Debug log
+    //
+    // The logging builds (fmodstudioL.js, picked with ?fmod=debug) report what
+    // FMOD does internally.  Debug_Initialize hands each message to a callback
+    // where the build supports it, or else prints it, which bootRuntime()
+    // catches.  The other builds only have the runtime's own output to show.
+    //==========================================================================
+
+    // Asks FMOD for its log at the runtime's debugLevel.  Called before the system is created, so its startup is logged too.
+    function startDebugLog()
+    {
+        var FMOD = runtime.FMOD;
+        var levels = { error: FMOD.DEBUG_LEVEL_ERROR, warning: FMOD.DEBUG_LEVEL_WARNING, log: FMOD.DEBUG_LEVEL_LOG };
+        var flags = levels[runtime.debugLevel];
+
+        runtime.logging = null;
+
+        if (flags === undefined || typeof FMOD.Debug_Initialize !== "function")
+        {
+            return;
+        }
+
+        if (check("Debug_Initialize", function() { return FMOD.Debug_Initialize(flags, FMOD.DEBUG_MODE_CALLBACK, debugCallback, null); }))
+        {
+            runtime.logging = "callback";
+        }
+        else if (check("Debug_Initialize", function() { return FMOD.Debug_Initialize(flags, FMOD.DEBUG_MODE_TTY, null, null); }))
+        {
+            runtime.logging = "tty";
+        }
+    }
+
+    // Receives one message from FMOD's log.  The strings may arrive as pointers into the FMOD heap.
+    function debugCallback(flags, file, line, func, message)
+    {
+        var FMOD = runtime.FMOD;
+
+        function read(value)
+        {
+            if (typeof value === "number")
+            {
+                return value && FMOD.UTF8ToString ? FMOD.UTF8ToString(value) : "";
+            }
+
+            return value ? String(value) : "";
+        }
+
+        func = read(func);
+
+        addLogLine({
+            time     : Date.now(),
+            level    : flags & FMOD.DEBUG_LEVEL_ERROR ? "error" : flags & FMOD.DEBUG_LEVEL_WARNING ? "warning" : "log",
+            category : flags & FMOD.DEBUG_TYPE_MEMORY ? "memory" : flags & FMOD.DEBUG_TYPE_FILE ? "file"
+                : flags & FMOD.DEBUG_TYPE_CODEC ? "codec" : flags & FMOD.DEBUG_TYPE_TRACE ? "trace" : func.split("::")[0] || "general",
+            file     : read(file),
+            line     : line,
+            func     : func,
+            message  : read(message).trim()
+        });
+
+        return FMOD.OK;
+    }
+
+    // Turns a line the runtime printed into a log line.  FMOD's own look like "[WRN] SystemI::init : message"; anything
+    // else, e.g. from the Emscripten runtime, is logged under "runtime".
+    function parseLogLine(text)
+    {
+        var match = /^\[(LOG|WRN|ERR)\]\s*(\S+)\s*:\s*([\s\S]*)$/.exec(String(text).trim());
+
+        if (!match)
+        {
+            return { time: Date.now(), level: "log", category: "runtime", file: "", line: 0, func: "", message: String(text).trim() };
+        }
+
+        return {
+            time     : Date.now(),
+            level    : { LOG: "log", WRN: "warning", ERR: "error" }[match[1]],
+            category : match[2].split("::")[0],
+            file     : "",
+            line     : 0,
+            func     : match[2],
+            message  : match[3]
+        };
+    }
+
+    // Keeps a log line for getLog() and passes it to every player's "log" listeners.
+    function addLogLine(entry)
+    {
+        if (!runtime || !entry.message)
+        {
+            return;
+        }
+
+        runtime.log.push(entry);
+        if (runtime.log.length > LOG_LIMIT)
+        {
+            runtime.log.splice(0, runtime.log.length - LOG_LIMIT);
+        }
+
+        runtime.players.forEach(function(player)
+        {
+            player.emit("log", entry);
+        });
+    }
+
+    //==========================================================================
+    // Audio unlock
+    //
+    // Browsers only let audio start from a user gesture, and may suspend it
+    // again later, e.g. for a phone call on iOS.  The unlock state is one of:
+    //   locked      - waiting for the first gesture.
+    //   unlocking   - a gesture has asked the audio context to resume.
+    //   running     - audio is playing through.
+    //   interrupted - audio stopped after running, and needs another gesture.
+    // Players emit "audiostate" whenever it changes.
+    //==========================================================================
+
+    // Returns the Web Audio context FMOD's output uses, or null if this build does not expose it.
+    function getAudioContext()
+    {
+        return runtime.FMOD.mContext || runtime.FMOD.context || null;
+    }
+
+    // Moves to a new unlock state and tells every player.
+    function setAudioState(state)
+    {
+        if (state == runtime.audioState)
+        {
+            return;
+        }
+
+        runtime.audioState = state;
+        if (state == "running")
+        {
+            runtime.unlocked = true;
+        }
+
+        runtime.players.forEach(function(player)
+        {
+            player.emit("audiostate", state);
+        });
+    }
+
+    // Works out the unlock state from the audio context, whenever it changes.  A context the mixer suspended
+    // for a hidden page does not count as interrupted, and nor does one still being unlocked.
+    function checkAudioContext()
+    {
+        var context = runtime.core && getAudioContext();
+
+        if (!context)
+        {
+            return;
+        }
+
+        if (context.state == "running")
+        {
+            finishUnlock("running");
+        }
+        else if (!runtime.suspended && runtime.audioState != "unlocking")
+        {
+            setAudioState(runtime.unlocked ? "interrupted" : "locked");
+        }
+    }
+
+    // Called for every user gesture while audio is not running.  Resumes the mixer, as the FMOD examples do,
+    // and the audio context, which has to happen inside the gesture.  Gives up after UNLOCK_TIMEOUT, so a
+    // gesture the browser did not accept leaves things waiting for the next one.
+    function unlockAudio()
+    {
+        var context = getAudioContext();
+        var previous = runtime.unlocked ? "interrupted" : "locked";
+
+        if (!runtime.core || runtime.suspended || runtime.audioState == "running" || runtime.audioState == "unlocking")
+        {
+            return;
+        }
+
+        setAudioState("unlocking");
+
+        check("System::mixerSuspend", function() { return runtime.core.mixerSuspend(); });
+        check("System::mixerResume", function() { return runtime.core.mixerResume(); });
+
+        // Without a context to ask, a resumed mixer is taken to be running.
+        if (!context)
+        {
+            finishUnlock("running");
+            return;
+        }
+
+        runtime.unlockTimer = window.setTimeout(function()
+        {
+            finishUnlock(previous);
+        }, UNLOCK_TIMEOUT);
+
+        if (context.resume)
+        {
+            context.resume().then(checkAudioContext, function() {});
+        }
+        checkAudioContext();
+    }
+
+    // Ends an unlock, successful or not.
+    function finishUnlock(state)
+    {
+        window.clearTimeout(runtime.unlockTimer);
+        runtime.unlockTimer = null;
+
+        setAudioState(state);
+    }
+
+    // Sets up the page listeners the runtime needs for as long as the page lives.  Called once, after the first initSystem().
+    function bindPage()
+    {
+        // Web Audio is not allowed to start until the page gets a user gesture.  Every kind of gesture counts, and
+        // listening in the capture phase unlocks audio before a play button's own click handler runs.
+        UNLOCK_GESTURES.forEach(function(type)
+        {
+            window.addEventListener(type, function(e)
+            {
+                if (type != "keydown" || e.key != "Escape")
+                {
+                    unlockAudio();
+                }
+            }, true);
+        });
+
+        document.addEventListener('visibilitychange', scheduleApplication);
+
+        // Release everything when the page goes away.  Listening for pagehide rather than unload keeps the page
+        // eligible for the back/forward cache, and pageshow builds it all up again if the page comes back from there.
+        window.addEventListener('pagehide', releaseSystem);
+        window.addEventListener('pageshow', function(e)
+        {
+            if (e.persisted && !runtime.system)
+            {
+                restoreSystem();
+            }
+        });
+    }
+
+    // Releases every player's instance, every bank and the Studio system, keeping the FMOD module to start again with.
+    function releaseSystem()
+    {
+        if (!runtime.system)
+        {
+            return;
+        }
+
+        console.log("Release FMOD\n");
+
+        runtime.running = false;
+        scheduleApplication();
+
+        runtime.players.forEach(function(player)
+        {
+            player.attempt++;               // Any load in progress is abandoned, restoreSystem() starts a new one.
+            player.releaseInstance();
+            player.oneShots = {};
+
+            // Released with the system, but still marked active so restoreSnapshots() starts them again.
+            for (var path in player.snapshots)
+            {
+                player.snapshots[path].instance = null;
+            }
+
+            player.banks = [];
+            player.setState("loading");
+        });
+
+        for (var name in runtime.banks)
+        {
+            unloadBank(runtime.banks[name]);
+        }
+
+        // Banks still loading are released with the system.
+        runtime.pending = [];
+
+        check("Studio::System::release", function() { return runtime.system.release(); });
+
+        runtime.system = null;
+        runtime.core = null;
+        runtime.masterBus = null;
+        runtime.vcas = {};
+        runtime.suspended = false;
+        runtime.stats = {};
+
+        window.clearTimeout(runtime.unlockTimer);
+        runtime.unlockTimer = null;
+    }
+
+    // Creates a new Studio system after releaseSystem() and loads every player again.
+    function restoreSystem()
+    {
+        try
+        {
+            initSystem();
+        }
+        catch (err)
+        {
+            haltApplication(err);
+            return;
+        }
+
+        runtime.players.forEach(function(player)
+        {
+            player.load();
+        });
+    }
+
+    // Starts the application loop, unless it is already running.
+    function startApplication()
+    {
+        if (!runtime.running)
+        {
+            console.log("Start game loop\n");
+            runtime.running = true;
+            scheduleApplication();
+        }
+    }
+
+    // Stops the application loop after a fatal error and fails every player with it.
+    function haltApplication(err)
+    {
+        runtime.running = false;
+        scheduleApplication();
+
+        console.error("FMOD application loop stopped:", err);
+
+        runtime.players.slice().forEach(function(player)
+        {
+            player.fail(err);
+        });
+    }
+
+    // Runs the application loop at the rate the page needs, and suspends the mixer when nothing is listening.
+    // Called whenever the loop starts or stops, the page is shown or hidden, or a player's background setting changes:
+    //   visible                          - UPDATE_INTERVAL.
+    //   hidden, a player has background  - BACKGROUND_INTERVAL, so Studio keeps playing for less CPU.
+    //   hidden, otherwise                - stopped, with the mixer suspended.
+    function scheduleApplication()
+    {
+        var background = runtime.players.some(function(player) { return player.config.background; });
+        var hidden = document.visibilityState == "hidden";
+        var rate = !runtime.running ? null : !hidden ? UPDATE_INTERVAL : background ? BACKGROUND_INTERVAL : null;
+        var suspend = hidden && !background;
+
+        if (rate !== runtime.rate)
+        {
+            window.clearInterval(runtime.interval);
+            runtime.interval = rate ? window.setInterval(updateApplication, rate) : null;
+            runtime.rate = rate;
+        }
+
+        if (runtime.core && suspend != runtime.suspended)
+        {
+            if (suspend)
+            {
+                check("System::mixerSuspend", function() { return runtime.core.mixerSuspend(); });
+            }
+            else
+            {
+                check("System::mixerResume", function() { return runtime.core.mixerResume(); });
+
+                // Some browsers will not resume without a gesture, which counts as an interruption.
+                window.setTimeout(checkAudioContext, UNLOCK_TIMEOUT);
+            }
+
+            runtime.suspended = suspend;
+        }
+    }
+
+    // Downloads a file, calling onProgress(loaded, total) as the bytes arrive.  Resolves with the contents as a Uint8Array.
+    // total is 0 when the server does not send a Content-Length.  Gives up if the server has not answered within the
+    // timeout, if there is one; once it answers, a large file may take as long as it needs.  HTTP errors carry the status.
+    function download(url, onProgress, timeout, cache)
+    {
+        var controller = window.AbortController ? new AbortController() : null;
+        var timer = timeout && controller ? window.setTimeout(function() { controller.abort(); }, timeout) : null;
+        var options = { cache: cache || "default" };
+
+        if (controller)
+        {
+            options.signal = controller.signal;
+        }
+
+        return fetch(url, options).then(function(response)
+        {
+            window.clearTimeout(timer);
+
+            if (!response.ok)
+            {
+                var error = new Error("Could not download " + url + " (HTTP " + response.status + ")");
+
+                error.status = response.status;
+                throw error;
+            }
+
+            var total = parseInt(response.headers.get("Content-Length"), 10) || 0;
+
+            // No streaming support, so the only progress we can give is 'done'.
+            if (!response.body || !response.body.getReader)
+            {
+                return response.arrayBuffer().then(function(buffer)
+                {
+                    onProgress(buffer.byteLength, buffer.byteLength);
+                    return new Uint8Array(buffer);
+                });
+            }
+
+            var reader = response.body.getReader();
+            var chunks = [];
+            var loaded = 0;
+
+            function pump()
+            {
+                return reader.read().then(function(step)
+                {
+                    if (step.done)
+                    {
+                        var data = new Uint8Array(loaded);
+                        var offset = 0;
+
+                        for (var i = 0; i < chunks.length; i++)
+                        {
+                            data.set(chunks[i], offset);
+                            offset += chunks[i].length;
+                        }
+
+                        onProgress(loaded, Math.max(total, loaded));
+                        return data;
+                    }
+
+                    chunks.push(step.value);
+                    loaded += step.value.length;
+                    onProgress(loaded, total);
+
+                    return pump();
+                });
+            }
+
+            return pump();
+        }, function(err)
+        {
+            window.clearTimeout(timer);
+
+            // A fetch that never got an answer, e.g. from a host that is down or refuses CORS, fails with a TypeError.
+            throw new Error(err.name == "AbortError" ? "No answer within " + timeout + "ms" : "Unreachable, or blocked by CORS (" + err.message + ")");
+        });
+    }
+
+    // Writes downloaded bank data into FMOD's file system and starts a non-blocking load.
+    // Resolves with the bank handle once the application loop sees it loaded.
+    function mountBank(name, data)
+    {
+        var FMOD = runtime.FMOD;
+        var bankhandle = {};
+
+        // A failed attempt may have left the file behind.
+        try
+        {
+            FMOD.FS_unlink("/" + name);
+        }
+        catch (err)
+        {
+        }
+
+        FMOD.FS_createDataFile("/", name, data, true, false, true);
+
+        check("Studio::System::loadBankFile", function() { return runtime.system.loadBankFile("/" + name, FMOD.STUDIO_LOAD_BANK_NONBLOCKING, bankhandle); });
+
+        return new Promise(function(resolve, reject)
+        {
+            runtime.pending.push({ name: name, bank: bankhandle.val, resolve: resolve, reject: reject });
+        });
+    }
+
+    // Checks the banks that are still loading and settles the ones that have finished.
+    function updatePendingBanks()
+    {
+        var FMOD = runtime.FMOD;
+
+        for (var i = runtime.pending.length - 1; i >= 0; i--)
+        {
+            var job = runtime.pending[i];
+            var state = {};
+            var result = job.bank.getLoadingState(state);
+
+            if (result != FMOD.OK || state.val == FMOD.STUDIO_LOADING_STATE_ERROR)
+            {
+                var error = new FMODError(result, "Studio::System::loadBankFile");
+
+                // The failed state shows the message, so it names the bank.  A load that ended in the error state
+                // has no result of its own to describe.
+                error.bank = job.name;
+                error.message = "Could not load " + job.name + ": " + (result != FMOD.OK ? error.errorString : "Studio could not read the bank");
+
+                runtime.pending.splice(i, 1);
+                job.reject(error);
+            }
+            else if (state.val == FMOD.STUDIO_LOADING_STATE_LOADED)
+            {
+                runtime.pending.splice(i, 1);
+                job.resolve(job.bank);
+            }
+        }
+    }
+
+    // Reads the bank manifest at the URL, once per page.  Resolves with null when there is no manifest to read, e.g.
+    // offline, so the banks load unchecked rather than not at all.  See verifyBank() for what it holds.
+    function loadManifest(url)
+    {
+        if (!url)
+        {
+            return Promise.resolve(null);
+        }
+
+        if (!runtime.manifests[url])
+        {
+            runtime.manifests[url] = fetch(url, { cache: "no-cache" }).then(function(response)
+            {
+                if (!response.ok)
+                {
+                    throw new Error("HTTP " + response.status);
+                }
+
+                return response.json();
+            })
+            .catch(function(err)
+            {
+                // Try again for the next bank, in case the network comes back.
+                delete runtime.manifests[url];
+                console.warn("Could not read the bank manifest " + url + ", so banks are loaded unchecked: " + err.message);
+                return null;
+            });
+        }
+
+        return runtime.manifests[url];
+    }
+
+    // Checks downloaded bank data against its entry in the manifest, before FMOD is asked to load it.  The manifest
+    // is JSON kept by hand next to the banks, updated with each export from Studio:
+    //     { "build": "2024-05-01", "banks": { "Master.bank": { "size": 123456, "sha256": "9f86d0..." }, ... } }
+    // size and sha256 are what wc -c and sha256sum give for the exported file.  As every bank has its own hash, a bank
+    // left over from an earlier export, e.g. a Master.bank uploaded without its Master.strings.bank, fails the check.
+    // build only names the export in messages.  Resolves with the data, or rejects with an error saying what is wrong.
+    // Banks the manifest does not list are not checked.
+    function verifyBank(name, data, manifest)
+    {
+        var entry = manifest && manifest.banks && manifest.banks[name];
+
+        if (!entry)
+        {
+            return Promise.resolve(data);
+        }
+
+        if (entry.size && data.length != entry.size)
+        {
+            return Promise.reject(new Error(name + " is " + data.length + " bytes but should be " + entry.size
+                + ". The download was cut short, or the bank is out of date."));
+        }
+
+        // Hashing needs a secure context; without one, the size check is all there is.
+        if (!entry.sha256 || !window.crypto || !window.crypto.subtle)
+        {
+            return Promise.resolve(data);
+        }
+
+        return window.crypto.subtle.digest("SHA-256", data).then(function(digest)
+        {
+            var hash = Array.prototype.map.call(new Uint8Array(digest), function(byte)
+            {
+                return ("0" + byte.toString(16)).slice(-2);
+            }).join("");
+
+            if (hash != entry.sha256.toLowerCase())
+            {
+                throw new Error(name + " does not match the manifest. It is damaged, or out of date"
+                    + (manifest.build ? " for build " + manifest.build : "") + ".");
+            }
+
+            return data;
+        });
+    }
+
+    // Downloads a bank from one source and checks it against the manifest, if there is one.  A bank that fails the
+    // check is downloaded once more past any cache, in case the copy came from the offline cache or the browser's
+    // and was left from an earlier export; the offline cache keeps the new copy.  Resolves with the bank data.
+    function downloadBank(url, record, manifest, timeout)
+    {
+        var name = record.name;
+
+        // Progress from a source the set has already given up on is no longer news.
+        function onProgress(loaded, total)
+        {
+            if (record.source != url + name)
+            {
+                return;
+            }
+
+            record.loaded = loaded;
+            record.total = total;
+
+            for (var i = 0; i < record.listeners.length; i++)
+            {
+                record.listeners[i](record);
+            }
+        }
+
+        record.source = url + name;
+
+        return download(url + name, onProgress, timeout).then(function(data)
+        {
+            return verifyBank(name, data, manifest).catch(function(err)
+            {
+                console.warn(err.message + " Downloading it again.");
+
+                return download(url + name, onProgress, timeout, "reload").then(function(data)
+                {
+                    return verifyBank(name, data, manifest);
+                });
+            });
+        });
+    }
+
+    // Downloads banks as a set from the first of the config's bankUrl sources that has all of them, checked against
+    // the config's manifest if there is one, and loads them into the Studio system.  A source missing one bank is
+    // given up on for the whole set, so the banks of one export never mix with another host's.  Banks are shared,
+    // so a bank another player already asked for is reused rather than loaded twice.
+    // Returns the banks' records, in order: { name, loaded, total, promise, listeners, players, bank, lazy, lastUsed,
+    // source, failures }.
+    function loadBanks(config, names)
+    {
+        var created = [];
+        var records = names.map(function(name)
+        {
+            var record = runtime.banks[name];
+
+            if (!record)
+            {
+                record = runtime.banks[name] = {
+                    name     : name,
+                    loaded   : 0,           // Bytes downloaded so far.
+                    total    : 0,           // Bytes expected, 0 while unknown.
+                    listeners: [],          // Called whenever the byte counts change.
+                    players  : [],          // Players using the bank.  It is unloaded once the last one lets go.
+                    bank     : null,        // Bank handle, once loaded.
+                    lazy     : null,        // True while only requestEvent() has asked for it.  See useBank().
+                    lastUsed : 0,           // When it was last asked for or found in use.
+                    source   : null,        // URL it is being, or was, downloaded from.
+                    failures : []           // { source, reason } for each source that was tried first and failed.
+                };
+                created.push(record);
+            }
+
+            return record;
+        });
+
+        if (!created.length)
+        {
+            return records;
+        }
+
+        var set = loadManifest(config.manifest).then(function(manifest)
+        {
+            return trySources([].concat(config.bankUrl), function(url)
+            {
+                return Promise.all(created.map(function(record)
+                {
+                    return downloadBank(url, record, manifest, config.timeout);
+                }));
+            });
+        });
+
+        created.forEach(function(record, index)
+        {
+            var name = record.name;
+
+            record.promise = set.then(function(result)
+            {
+                record.source = result.source + name;
+                record.failures = result.failures;
+
+                // Released while downloading; the player that asked has moved on.
+                if (runtime.banks[name] !== record)
+                {
+                    throw new Error("Bank " + name + " was released while loading.");
+                }
+
+                return mountBank(name, result.value[index]);
+            })
+            .then(function(bank)
+            {
+                record.bank = bank;
+                return bank;
+            })
+            .catch(function(err)
+            {
+                // Forget the failed attempt so a retry starts from scratch.
+                if (runtime.banks[name] === record)
+                {
+                    delete runtime.banks[name];
+                }
+                throw err;
+            });
+        });
+
+        return records;
+    }
+
+    // Unloads a bank and deletes its file, and forgets its record.  A bank that is still loading is unloaded once it has loaded.
+    function unloadBank(record)
+    {
+        var FMOD = runtime.FMOD;
+        var system = runtime.system;
+
+        if (runtime.banks[record.name] === record)
+        {
+            delete runtime.banks[record.name];
+        }
+
+        if (!record.bank)
+        {
+            record.promise.then(function()
+            {
+                if (runtime.system === system)
+                {
+                    unloadBank(record);
+                }
+            }, function() {});
+            return;
+        }
+
+        check("Studio::Bank::unload", function() { return record.bank.unload(); });
+        record.bank = null;
+
+        try
+        {
+            FMOD.FS_unlink("/" + record.name);
+        }
+        catch (err)
+        {
+        }
+
+        // Forget the VCAs and master bus that went with it.
+        for (var path in runtime.vcas)
+        {
+            if (!runtime.vcas[path].isValid())
+            {
+                delete runtime.vcas[path];
+            }
+        }
+        if (runtime.masterBus && !runtime.masterBus.isValid())
+        {
+            runtime.masterBus = null;
+        }
+    }
+
+    // Returns a short version for the banks the manifest lists, from their names and hashes, which changes whenever
+    // any of them is exported again.
+    function getManifestVersion(manifest)
+    {
+        var banks = manifest.banks || {};
+        var text = Object.keys(banks).sort().map(function(name)
+        {
+            return name + ":" + (banks[name].sha256 || banks[name].size);
+        }).join(",");
+        var hash = 5381;
+
+        for (var i = 0; i < text.length; i++)
+        {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+        }
+
+        return hash.toString(16);
+    }
+
+    // Registers the offline cache's service worker, versioned by the config's manifest, and hands it the files that
+    // were downloaded before it was controlling the page: the banks so far and the runtime in use.  The worker stores
+    // the pages and their scripts itself.
+    // Without service workers, or on a page not served over https, files are simply downloaded every visit.
+    function cacheFiles(config)
+    {
+        if (!("serviceWorker" in navigator) || !window.isSecureContext)
+        {
+            return;
+        }
+
+        // Without a manifest nothing says when the banks change, and the cache would serve old ones for good.
+        if (!config.manifest)
+        {
+            console.warn("FMOD offline cache needs a bank manifest to tell when the banks change, so it is off.");
+            return;
+        }
+
+        loadManifest(config.manifest).then(function(manifest)
+        {
+            if (manifest)
+            {
+                registerCache(getManifestVersion(manifest));
+            }
+        });
+    }
+
+    // Registers the service worker for the version, and hands it the files downloaded so far.
+    function registerCache(version)
+    {
+        var urls = [];
+        var script = runtime.source ? runtime.source.source : (document.querySelector('script[src*="fmodstudio"]') || {}).src;
+
+        // The runtime in use, not one of the sources tried before it, along with whichever of a .wasm or, for asm.js
+        // builds, a .mem file its build fetched from beside it.
+        if (script)
+        {
+            script = new URL(script, document.baseURI).href;
+            urls.push(script);
+
+            performance.getEntriesByType("resource").forEach(function(entry)
+            {
+                if (entry.name.indexOf(script.substring(0, script.lastIndexOf("/") + 1)) == 0 && /\.(wasm|mem)$/.test(entry.name))
+                {
+                    urls.push(entry.name);
+                }
+            });
+        }
+        for (var name in runtime.banks)
+        {
+            if (runtime.banks[name].source)
+            {
+                urls.push(new URL(runtime.banks[name].source, document.baseURI).href);
+            }
+        }
+
+        navigator.serviceWorker.register(CACHE_WORKER + "?v=" + encodeURIComponent(version))
+        .then(function()
+        {
+            return navigator.serviceWorker.ready;
+        })
+        .then(function(registration)
+        {
+            registration.active.postMessage({ type: "cache", urls: urls });
+        })
+        .catch(function(err)
+        {
+            console.warn("FMOD offline cache unavailable: " + err.message);
+        });
+    }
+
+    // Counts the player as using a bank from loadBanks(), and returns its record.
+    // A bank stays lazy, so may be unloaded when idle, until a player needs it for itself rather than for requestEvent().
+    function useBank(player, record, lazy)
+    {
+        if (record.players.indexOf(player) == -1)
+        {
+            record.players.push(player);
+        }
+
+        record.lazy = lazy && record.lazy !== false;
+        record.lastUsed = performance.now();
+
+        return record;
+    }
+
+    // Loads banks on top of the ones the player started with, adding their handles to its banks once they have loaded.
+    // Resolves with the handles, or rejects after reporting the error to the player.
+    function attachBanks(player, names, lazy)
+    {
+        return Promise.all(loadBanks(player.config, names).map(function(record)
+        {
+            return useBank(player, record, lazy).promise;
+        }))
+        .then(function(banks)
+        {
+            banks.forEach(function(bank)
+            {
+                if (player.banks.indexOf(bank) == -1)
+                {
+                    player.banks.push(bank);
+                }
+            });
+
+            return banks;
+        })
+        .catch(function(err)
+        {
+            // The player stays ready with the banks it has, so the error is only reported, as a warning.
+            if (!err.reported)
+            {
+                err.severity = "warning";
+                reportError(err, player);
+            }
+            throw err;
+        });
+    }
+
+    // Lets go of the player's banks, unloading the ones no other player uses.
+    function releaseBanks(player)
+    {
+        for (var name in runtime.banks)
+        {
+            var record = runtime.banks[name];
+            var index = record.players.indexOf(player);
+
+            if (index != -1)
+            {
+                record.players.splice(index, 1);
+
+                if (!record.players.length)
+                {
+                    unloadBank(record);
+                }
+            }
+        }
+    }
+
+    // Returns the names of the lazy banks an event needs, from the player's lazyBanks config, dependencies first.
+    // An event the config does not mention needs none.
+    function findLazyBanks(config, path)
+    {
+        var names = [];
+        var visiting = [];
+
+        function add(name)
+        {
+            // A bank already on the list, or a dependency cycle back to one being added, needs nothing more.
+            if (names.indexOf(name) != -1 || visiting.indexOf(name) != -1)
+            {
+                return;
+            }
+
+            visiting.push(name);
+            ((config.lazyBanks[name] || {}).requires || []).forEach(add);
+            names.push(name);
+        }
+
+        for (var name in config.lazyBanks)
+        {
+            var events = config.lazyBanks[name].events || [];
+
+            for (var i = 0; i < events.length; i++)
+            {
+                if (events[i] == path || (events[i].charAt(events[i].length - 1) == "/" && path.indexOf(events[i]) == 0))
+                {
+                    add(name);
+                    return names;
+                }
+            }
+        }
+
+        return names;
+    }
+
+    // Returns the names of the lazy banks the players are using: for their events, snapshots, one-shots still
+    // playing and instances still fading out.
+    function findUsedBanks()
+    {
+        var used = [];
+
+        runtime.players.forEach(function(player)
+        {
+            var paths = [ player.config.event ];
+
+            player.fadingOut.forEach(function(tail) { paths.push(tail.path); });
+            for (var path in player.snapshots)
+            {
+                if (player.snapshots[path].active)
+                {
+                    paths.push(path);
+                }
+            }
+            for (path in player.oneShots)
+            {
+                if (player.pruneOneShots(path).length)
+                {
+                    paths.push(path);
+                }
+            }
+
+            paths.forEach(function(path)
+            {
+                findLazyBanks(player.config, path).forEach(function(name)
+                {
+                    if (used.indexOf(name) == -1)
+                    {
+                        used.push(name);
+                    }
+                });
+            });
+        });
+
+        return used;
+    }
+
+    // Returns the smallest non-zero value of a config setting across the players, or 0 if none sets one.
+    function getSmallestSetting(key)
+    {
+        return runtime.players.reduce(function(smallest, player)
+        {
+            var value = player.config[key];
+
+            return value > 0 && (!smallest || value < smallest) ? value : smallest;
+        }, 0);
+    }
+
+    // Unloads a lazy bank, taking it out of every player that had it.
+    function unloadLazyBank(record)
+    {
+        console.log("Unloading bank " + record.name + "\n");
+
+        record.players.forEach(function(player)
+        {
+            var index = player.banks.indexOf(record.bank);
+
+            if (index != -1)
+            {
+                player.banks.splice(index, 1);
+            }
+        });
+
+        record.players = [];
+        unloadBank(record);
+    }
+
+    // Unloads the lazy banks nothing has used for the bankIdle time, then the least recently used ones while they
+    // take more than the bankBudget.  Banks in use, and banks only just asked for, are never unloaded.
+    function checkLazyBanks()
+    {
+        var now = performance.now();
+        var used = findUsedBanks();
+        var idle = getSmallestSetting("bankIdle");
+        var budget = getSmallestSetting("bankBudget");
+        var loaded = [];
+        var size = 0;
+
+        runtime.bankCheck = now;
+
+        for (var name in runtime.banks)
+        {
+            var record = runtime.banks[name];
+
+            if (!record.lazy || !record.bank)
+            {
+                continue;
+            }
+
+            if (used.indexOf(name) != -1)
+            {
+                record.lastUsed = now;
+            }
+            else if (idle && now - record.lastUsed > Math.max(idle, BANK_GRACE))
+            {
+                unloadLazyBank(record);
+                continue;
+            }
+
+            loaded.push(record);
+            size += record.total || record.loaded;
+        }
+
+        if (!budget || size <= budget)
+        {
+            return;
+        }
+
+        loaded.sort(function(a, b) { return a.lastUsed - b.lastUsed; });
+
+        for (var i = 0; i < loaded.length && size > budget; i++)
+        {
+            if (used.indexOf(loaded[i].name) == -1 && now - loaded[i].lastUsed > BANK_GRACE)
+            {
+                size -= loaded[i].total || loaded[i].loaded;
+                unloadLazyBank(loaded[i]);
+            }
+        }
+    }
+
+    // Called on an interval that updates at a regular rate (like in a game loop).
+    // Gathers information about the system, updates the players and importantly calls System::update().
+    function updateApplication()
+    {
+        try
+        {
+            updateStats();
+
+            for (var i = 0; i < runtime.players.length; i++)
+            {
+                if (runtime.players[i].state == "ready")
+                {
+                    runtime.players[i].update();
+                }
+            }
+
+            // Update FMOD
+            check("Studio::System::update", function() { return runtime.system.update(); });
+
+            updatePendingBanks();
+
+            if (performance.now() - runtime.bankCheck >= BANK_CHECK_INTERVAL)
+            {
+                checkLazyBanks();
+            }
+        }
+        catch (err)
+        {
+            haltApplication(err);
+        }
+    }
+
+    // Reads the system statistics into runtime.stats.  Values that could not be read keep their previous value.
+    function updateStats()
+    {
+        var core = runtime.core;
+        var stats = runtime.stats;
+        var cpu = {};
+        var outval = {};
+        var numbuffers = {};
+        var buffersize = {};
+        var usage = {};
+        var allocated = {};
+        var peak = {};
+
+        if (check("System::getCPUUsage", function() { return core.getCPUUsage(cpu); }))
+        {
+            stats.cpu = cpu;
+        }
+
+        if (check("System::getChannelsPlaying", function() { return core.getChannelsPlaying(outval, null); }))
+        {
+            stats.channelsPlaying = outval.val;
+        }
+
+        if (check("System::getDSPBufferSize", function() { return core.getDSPBufferSize(buffersize, numbuffers); }))
+        {
+            stats.bufferSize = buffersize.val;
+            stats.numBuffers = numbuffers.val;
+        }
+
+        if (check("System::getSoftwareFormat", function() { return core.getSoftwareFormat(outval, null, null); }))
+        {
+            stats.mixerRate = outval.val;
+        }
+
+        if (check("System::getDriverInfo", function() { return core.getDriverInfo(0, null, null, outval, null, null); }))
+        {
+            stats.driverRate = outval.val;
+        }
+
+        stats.latency = stats.numBuffers * stats.bufferSize * 1000 / stats.mixerRate;
+
+        // Not blocking, as flushing the DSP graph every frame would cost more than the numbers are worth.
+        if (check("Memory_GetStats", function() { return runtime.FMOD.Memory_GetStats(allocated, peak, false); }))
+        {
+            stats.memory = { current: allocated.val, max: peak.val, total: runtime.FMOD.INITIAL_MEMORY };
+        }
+
+        if (check("Studio::System::getBufferUsage", function() { return runtime.system.getBufferUsage(usage); }))
+        {
+            stats.bufferUsage = usage;
+        }
+    }
+
+    //==========================================================================
+    // Player
+    //==========================================================================
+
+    // Accepts an element or a selector, returns the element or null.
+    function resolveElement(target)
+    {
+        if (!target)
+        {
+            return null;
+        }
+
+        return typeof target === "string" ? document.querySelector(target) : target;
+    }
+
+    // Formats milliseconds as m:ss.
+    function formatTime(ms)
+    {
+        var seconds = Math.floor(ms / 1000);
+        var remainder = seconds % 60;
+
+        return Math.floor(seconds / 60) + ":" + (remainder < 10 ? "0" : "") + remainder;
+    }
+
+    // Creates a player for one event.  Loading starts right away; listen for "ready" to know when it can play.
+    function FMODPlayer(userConfig)
+    {
+        var self = this;
+        var key;
+
+        this.config = {};
+        for (key in defaults)
+        {
+            this.config[key] = defaults[key];
+        }
+        for (key in userConfig)
+        {
+            this.config[key] = userConfig[key];
+        }
+
+        this.elements = {};
+        for (key in this.config.elements)
+        {
+            this.elements[key] = resolveElement(this.config.elements[key]);
+        }
+
+        this.listeners = {};
+        this.description = null;
+        this.instance = null;
+        this.banks = [];                    // Handles of the player's banks, once loaded.
+        this.state = "loading";             // loading, ready or failed, and destroyed after destroy().
+        this.playbackState = null;          // See getPlaybackState(), null until the first update.
+        this.fade = null;                   // Custom fade in progress: { from, to, restore, startTime, duration }.
+        this.fadingOut = [];                // Instances a crossfade is fading out: { instance, path, from, startTime, duration }.
+        this.length = 0;                    // Timeline length in ms, 0 when the event has no fixed length.
+        this.position = 0;                  // Timeline position in ms, as of the last update.
+        this.stalePosition = null;          // Position Studio reported before a seek or restart it has not applied yet.
+        this.scrubbing = false;             // True while the timeline is being dragged.
+        this.progress = { loaded: 0, total: 0, fraction: 0 };
+        this.target = resolveElement(this.config.target) || document;
+        this.timelineEvents = [];           // Beats and markers from the instance's callback, waiting for the next update.
+        this.bindings = [];                 // Listeners added to the page by listen(), removed by destroy().
+        this.attempt = 0;                   // Counts calls to load(), so a superseded load can tell it is out of date.
+        this.oneShots = {};                 // Instances started by playOneShot() that may still be playing, oldest first, by event path.
+        this.snapshots = {};                // Snapshots started or given an intensity, by path: { instance, active, intensity }.
+        this.attributes3D = null;           // Position given to set3DAttributes(), applied to each new instance too.
+
+        if (this.elements.play)
+        {
+            this.listen(this.elements.play, 'click', function() { self.start(); });
+        }
+        if (this.elements.stop)
+        {
+            this.listen(this.elements.stop, 'click', function() { self.stop(); });
+        }
+        if (this.elements.pause)
+        {
+            this.listen(this.elements.pause, 'click', function()
+            {
+                self.setPaused(self.playbackState != "paused");
+            });
+        }
+        if (this.elements.restart)
+        {
+            this.listen(this.elements.restart, 'click', function() { self.restart(); });
+        }
+        if (this.elements.timeline)
+        {
+            this.bindTimeline(this.elements.timeline);
+        }
+        if (this.elements.retry)
+        {
+            this.elements.retry.hidden = true;
+            this.listen(this.elements.retry, 'click', function() { self.retry(); });
+        }
+        if (this.elements.volume)
+        {
+            this.listen(this.elements.volume, 'input', function() { self.setVolume(Number(self.elements.volume.value)); });
+        }
+        if (this.elements.mute)
+        {
+            this.listen(this.elements.mute, 'click', function() { self.setMuted(!self.isMuted()); });
+        }
+
+        this.load();
+        this.showVolume();
+    }
+
+    // Loads the runtime, banks and event.  Also available as this.ready, which settles with the outcome.
+    FMODPlayer.prototype.load = function()
+    {
+        var self = this;
+        var attempt = ++this.attempt;
+
+        this.setState("loading");
+
+        // Each step checks the player was not destroyed, or the page hidden and shown again, while it waited.
+        this.ready = getRuntime(this.config).then(function()
+        {
+            if (attempt != self.attempt)
+            {
+                return null;
+            }
+
+            startApplication();
+            return self.loadBanks();
+        })
+        .then(function(banks)
+        {
+            if (attempt != self.attempt)
+            {
+                return;
+            }
+
+            self.banks = banks;
+            self.initEvent();
+        })
+        .catch(function(err)
+        {
+            if (attempt != self.attempt)
+            {
+                return;
+            }
+
+            console.error("FMOD player error:", err);
+            self.fail(err);
+            throw err;
+        });
+
+        // Register with the runtime getRuntime() just created or returned, so runtime errors reach this player.
+        if (runtime.players.indexOf(this) == -1)
+        {
+            runtime.players.push(this);
+
+            // The new player's background setting may change how the loop runs while the page is hidden.
+            if (runtime.running)
+            {
+                scheduleApplication();
+            }
+        }
+
+        // Failures are reported through the "error" event and the failed state.
+        this.ready.catch(function() {});
+
+        return this.ready;
+    };
+
+    // Recovers from the failed state by loading again.  Banks that did load are kept, and a stopped application loop is restarted.
+    FMODPlayer.prototype.retry = function()
+    {
+        if (this.state != "failed")
+        {
+            return this.ready;
+        }
+
+        return this.load();
+    };
+
+    // Puts the player into the failed state, reporting the error if nothing has yet.
+    FMODPlayer.prototype.fail = function(err)
+    {
+        if (!err.reported)
+        {
+            err.reported = true;
+            this.emit("error", err);
+        }
+
+        this.setState("failed", err);
+    };
+
+    // Downloads and loads the player's banks, emitting "progress" with the combined byte counts.
+    FMODPlayer.prototype.loadBanks = function()
+    {
+        var self = this;
+        var config = this.config;
+        var lazy = findLazyBanks(config, config.event);
+        var records = loadBanks(config, config.banks.concat(lazy)).map(function(record)
+        {
+            return useBank(self, record, lazy.indexOf(record.name) != -1);
+        });
+
+        function onProgress()
+        {
+            var loaded = 0;
+            var total = 0;
+
+            for (var i = 0; i < records.length; i++)
+            {
+                loaded += records[i].loaded;
+                total += records[i].total;
+            }
+
+            self.progress = { loaded: loaded, total: total, fraction: total ? Math.min(loaded / total, 1) : 0 };
+            self.emit("progress", self.progress);
+
+            if (self.elements.progress)
+            {
+                self.elements.progress.max = 1;
+                self.elements.progress.value = self.progress.fraction;
+            }
+            if (total)
+            {
+                self.setStatus("Loading... " + Math.round(self.progress.fraction * 100) + "%");
+            }
+        }
+
+        records.forEach(function(record)
+        {
+            record.listeners.push(onProgress);
+        });
+        onProgress();
+
+        return Promise.all(records.map(function(record)
+        {
+            return record.promise;
+        }))
+        .then(function(banks)
+        {
+            records.forEach(function(record)
+            {
+                record.listeners.splice(record.listeners.indexOf(onProgress), 1);
+            });
+
+            return banks;
+        });
+    };
+
+    // Loads more banks for the player, on top of the ones in its config, e.g. for events a playlist moves on to.
+    // Resolves with their handles once they have loaded.
+    FMODPlayer.prototype.addBanks = function(names)
+    {
+        return attachBanks(this, names, false);
+    };
+
+    // Loads the lazy banks an event needs, from the lazyBanks config, unless they are loaded already.
+    // Resolves with their handles once the event can be selected or played:
+    //     player.requestEvent(path).then(function() { player.selectEvent(path); player.start(); });
+    FMODPlayer.prototype.requestEvent = function(path)
+    {
+        return attachBanks(this, findLazyBanks(this.config, path), true);
+    };
+
+    // Looks up the player's event and creates the instance it plays.
+    FMODPlayer.prototype.initEvent = function()
+    {
+        applyMixer(this.banks, this);
+        this.createInstance(this.config.event);
+
+        this.setState("ready");
+        this.restoreSnapshots();
+        this.emit("ready");
+
+        if (this.config.offline)
+        {
+            cacheFiles(this.config);
+        }
+    };
+
+    // Creates an instance of the given event and makes it the one this player controls.
+    // The old instance is only let go once the new one exists, so a bad path leaves the player as it was.
+    FMODPlayer.prototype.createInstance = function(path)
+    {
+        var description = {};
+        var instance = {};
+
+        console.log("Loading event " + path + "\n");
+
+        check("Studio::System::getEvent", function() { return runtime.system.getEvent(path, description); }, this);
+        check("Studio::EventDescription::createInstance", function() { return description.val.createInstance(instance); }, this);
+        this.setTimelineCallback(instance.val);
+
+        // A released instance keeps playing until it stops, so releaseInstance() stops it first.
+        this.releaseInstance();
+
+        this.config.event = path;
+        this.description = description.val;
+        this.instance = instance.val;
+        this.length = this.getLength();
+        this.position = 0;
+        this.stalePosition = null;
+
+        if (this.attributes3D)
+        {
+            this.set3DAttributes(this.attributes3D);
+        }
+    };
+
+    // Registers for the instance's beat and marker callbacks, as in the Music Callback Example.
+    // Studio calls back from inside Studio::System::update, so the callback only queues them; update() dispatches them.
+    FMODPlayer.prototype.setTimelineCallback = function(instance)
+    {
+        var self = this;
+        var FMOD = runtime.FMOD;
+
+        function timelineCallback(type, event, parameters)
+        {
+            if (type == FMOD.STUDIO_EVENT_CALLBACK_TIMELINE_BEAT)
+            {
+                self.timelineEvents.push({ type: "beat", detail: {
+                    bar          : parameters.bar,
+                    beat         : parameters.beat,
+                    position     : parameters.position,
+                    tempo        : parameters.tempo,
+                    timeSignature: { upper: parameters.timesignatureupper, lower: parameters.timesignaturelower }
+                }});
+            }
+            else if (type == FMOD.STUDIO_EVENT_CALLBACK_TIMELINE_MARKER)
+            {
+                self.timelineEvents.push({ type: "marker", detail: {
+                    name    : parameters.name,
+                    position: parameters.position
+                }});
+            }
+
+            return FMOD.OK;
+        }
+
+        check("Studio::EventInstance::setCallback", function()
+        {
+            return instance.setCallback(timelineCallback, FMOD.STUDIO_EVENT_CALLBACK_TIMELINE_BEAT | FMOD.STUDIO_EVENT_CALLBACK_TIMELINE_MARKER);
+        }, this);
+    };
+
+    // Hands queued beats and markers to the page, both as player events ("beat", "marker") and as
+    // bubbling fmodbeat / fmodmarker CustomEvents on the target, with the event path and player in the detail.
+    FMODPlayer.prototype.dispatchTimelineEvents = function()
+    {
+        var queue = this.timelineEvents;
+
+        this.timelineEvents = [];
+
+        for (var i = 0; i < queue.length; i++)
+        {
+            var detail = queue[i].detail;
+
+            detail.event = this.config.event;
+            detail.player = this;
+
+            this.emit(queue[i].type, detail);
+            this.target.dispatchEvent(new CustomEvent("fmod" + queue[i].type, { detail: detail, bubbles: true }));
+        }
+    };
+
+    // Stops and releases the player's instance, if it has one.
+    FMODPlayer.prototype.releaseInstance = function()
+    {
+        var instance = this.instance;
+
+        if (instance)
+        {
+            check("Studio::EventInstance::stop", function() { return instance.stop(runtime.FMOD.STUDIO_STOP_IMMEDIATE); }, this);
+            check("Studio::EventInstance::release", function() { return instance.release(); }, this);
+        }
+
+        this.fadingOut.forEach(function(tail)
+        {
+            this.releaseTail(tail);
+        }, this);
+        this.fadingOut = [];
+
+        this.description = null;
+        this.instance = null;
+        this.playbackState = null;
+        this.fade = null;
+        this.timelineEvents = [];
+    };
+
+    // Tears the player down for good: releases its instance and the banks no other player uses, removes its
+    // listeners from the page and drops its own.  The shared runtime stays, ready for the next player.
+    FMODPlayer.prototype.destroy = function()
+    {
+        var index;
+
+        this.attempt++;
+
+        if (runtime)
+        {
+            this.releaseInstance();
+            this.stopOneShots();
+            this.stopSnapshots();
+            releaseBanks(this);
+
+            index = runtime.players.indexOf(this);
+            if (index != -1)
+            {
+                runtime.players.splice(index, 1);
+            }
+        }
+
+        this.bindings.forEach(function(binding)
+        {
+            binding.target.removeEventListener(binding.type, binding.listener);
+        });
+
+        this.bindings = [];
+        this.banks = [];
+        this.state = "destroyed";
+        this.updateControls();
+        this.emit("destroy");
+        this.listeners = {};
+    };
+
+    // Adds a listener to a page element, to be removed again by destroy().
+    FMODPlayer.prototype.listen = function(target, type, listener)
+    {
+        target.addEventListener(type, listener);
+        this.bindings.push({ target: target, type: type, listener: listener });
+    };
+
+    // Switches the player to another event, e.g. one picked from getEventList().
+    // Returns false, after reporting the error, when the event cannot be found.
+    FMODPlayer.prototype.selectEvent = function(path)
+    {
+        if (this.state != "ready")
+        {
+            return false;
+        }
+        if (path == this.config.event)
+        {
+            return true;
+        }
+
+        try
+        {
+            this.createInstance(path);
+        }
+        catch (err)
+        {
+            return false;
+        }
+
+        this.showTimeline();
+        this.emit("eventchange", path);
+
+        return true;
+    };
+
+    // Turns an FMOD parameter description into the plain object the parameter panels work with:
+    // { name, id, minimum, maximum, defaultValue, kind, labels, global }, where kind is continuous, discrete or labeled.
+    function describeParameter(description, getLabel)
+    {
+        var FMOD = runtime.FMOD;
+        var flags = description.flags;
+        var parameter = {
+            name        : description.name,
+            id          : description.id,
+            minimum     : description.minimum,
+            maximum     : description.maximum,
+            defaultValue: description.defaultvalue,
+            kind        : "continuous",
+            labels      : null,
+            global      : !!(flags & FMOD.STUDIO_PARAMETER_GLOBAL)
+        };
+
+        if (flags & FMOD.STUDIO_PARAMETER_LABELED)
+        {
+            parameter.kind = "labeled";
+            parameter.labels = [];
+
+            for (var i = Math.floor(parameter.minimum); i <= parameter.maximum; i++)
+            {
+                parameter.labels.push(getLabel(i) || String(i));
+            }
+        }
+        else if (flags & FMOD.STUDIO_PARAMETER_DISCRETE)
+        {
+            parameter.kind = "discrete";
+        }
+
+        return parameter;
+    }
+
+    // True for parameters the page can set: game controlled, and neither read only nor automatic.
+    function isSettable(description)
+    {
+        var FMOD = runtime.FMOD;
+
+        return description.type == FMOD.STUDIO_PARAMETER_GAME_CONTROLLED
+            && !(description.flags & (FMOD.STUDIO_PARAMETER_READONLY | FMOD.STUDIO_PARAMETER_AUTOMATIC));
+    }
+
+    // Lists the settable parameters of the current event, leaving out global ones (see getGlobalParameters()).
+    FMODPlayer.prototype.getParameters = function()
+    {
+        var self = this;
+        var description = this.description;
+        var count = {};
+        var parameters = [];
+
+        if (!description || !check("Studio::EventDescription::getParameterDescriptionCount", function() { return description.getParameterDescriptionCount(count); }, this))
+        {
+            return parameters;
+        }
+
+        for (var i = 0; i < count.val; i++)
+        {
+            var outval = {};
+            var index = i;
+
+            if (!check("Studio::EventDescription::getParameterDescriptionByIndex", function() { return description.getParameterDescriptionByIndex(index, outval); }, this))
+            {
+                continue;
+            }
+            if (!isSettable(outval.val) || (outval.val.flags & runtime.FMOD.STUDIO_PARAMETER_GLOBAL))
+            {
+                continue;
+            }
+
+            parameters.push(describeParameter(outval.val, function(labelIndex)
+            {
+                var label = {};
+
+                if (check("Studio::EventDescription::getParameterLabelByIndex", function() { return description.getParameterLabelByIndex(index, labelIndex, label, PATH_SIZE, null); }, self))
+                {
+                    return label.val;
+                }
+            }));
+        }
+
+        return parameters;
+    };
+
+    // Lists the settable global parameters in the loaded banks.
+    FMODPlayer.prototype.getGlobalParameters = function()
+    {
+        var self = this;
+        var system = runtime.system;
+        var count = {};
+        var list = {};
+
+        if (this.state != "ready"
+            || !check("Studio::System::getParameterDescriptionCount", function() { return system.getParameterDescriptionCount(count); }, this)
+            || !count.val
+            || !check("Studio::System::getParameterDescriptionList", function() { return system.getParameterDescriptionList(list, count.val, count); }, this))
+        {
+            return [];
+        }
+
+        return list.val.filter(isSettable).map(function(description)
+        {
+            return describeParameter(description, function(labelIndex)
+            {
+                var label = {};
+
+                if (check("Studio::System::getParameterLabelByID", function() { return system.getParameterLabelByID(description.id, labelIndex, label, PATH_SIZE, null); }, self))
+                {
+                    return label.val;
+                }
+            });
+        });
+    };
+
+    // Sets one of the current event's parameters, by the id from getParameters().
+    FMODPlayer.prototype.setParameter = function(id, value)
+    {
+        var instance = this.instance;
+
+        if (this.state != "ready")
+        {
+            return false;
+        }
+
+        return check("Studio::EventInstance::setParameterByID", function() { return instance.setParameterByID(id, value, false); }, this);
+    };
+
+    // Sets a global parameter, by the id from getGlobalParameters().
+    FMODPlayer.prototype.setGlobalParameter = function(id, value)
+    {
+        if (this.state != "ready")
+        {
+            return false;
+        }
+
+        return check("Studio::System::setParameterByID", function() { return runtime.system.setParameterByID(id, value, false); }, this);
+    };
+
+    // Reads the mixer settings saved by an earlier visit: { volume, muted, vcas: { path: volume } }.
+    // Anything missing, unreadable or out of range falls back to full volume.
+    function loadMixer()
+    {
+        var mixer = { volume: 1, muted: false, vcas: {} };
+        var saved;
+
+        try
+        {
+            saved = JSON.parse(window.localStorage.getItem(MIXER_KEY));
+        }
+        catch (err)
+        {
+            saved = null;                   // Storage disabled, or not ours to read.
+        }
+
+        if (saved && typeof saved == "object")
+        {
+            mixer.volume = clampVolume(saved.volume, 1);
+            mixer.muted = saved.muted === true;
+
+            for (var path in saved.vcas)
+            {
+                mixer.vcas[path] = clampVolume(saved.vcas[path], 1);
+            }
+        }
+
+        return mixer;
+    }
+
+    // Saves the mixer settings for the next visit.  Not being able to save is not worth interrupting playback for.
+    function saveMixer()
+    {
+        try
+        {
+            window.localStorage.setItem(MIXER_KEY, JSON.stringify(runtime.mixer));
+        }
+        catch (err)
+        {
+            console.warn("FMOD player: could not save the volume.", err);
+        }
+    }
+
+    // Keeps a volume between silent and full, or returns the fallback for anything that is not a number.
+    function clampVolume(value, fallback)
+    {
+        return typeof value == "number" && isFinite(value) ? Math.min(Math.max(value, 0), 1) : fallback;
+    }
+
+    // Applies the mixer settings to the master bus and to every VCA in the banks, before anything plays.
+    // Called as each player becomes ready, since every player may bring in new VCAs.
+    function applyMixer(banks, owner)
+    {
+        var mixer = runtime.mixer;
+        var bus = {};
+
+        if (!runtime.masterBus && check("Studio::System::getBus", function() { return runtime.system.getBus("bus:/", bus); }, owner))
+        {
+            runtime.masterBus = bus.val;
+        }
+
+        banks.forEach(function(bank)
+        {
+            var count = {};
+            var list = {};
+
+            if (!check("Studio::Bank::getVCACount", function() { return bank.getVCACount(count); }, owner) || !count.val)
+            {
+                return;
+            }
+            if (!check("Studio::Bank::getVCAList", function() { return bank.getVCAList(list, count.val, count); }, owner))
+            {
+                return;
+            }
+
+            list.val.forEach(function(vca)
+            {
+                var path = {};
+
+                if (check("Studio::VCA::getPath", function() { return vca.getPath(path, PATH_SIZE, null); }, owner))
+                {
+                    runtime.vcas[path.val] = vca;
+                }
+            });
+        });
+
+        setMasterVolume(mixer.volume, mixer.muted, owner);
+
+        for (var path in mixer.vcas)
+        {
+            setVCAVolume(path, mixer.vcas[path], owner);
+        }
+    }
+
+    // Sets the master bus volume and mute.
+    function setMasterVolume(volume, muted, owner)
+    {
+        var bus = runtime.masterBus;
+
+        if (bus)
+        {
+            check("Studio::Bus::setVolume", function() { return bus.setVolume(volume); }, owner);
+            check("Studio::Bus::setMute", function() { return bus.setMute(muted); }, owner);
+        }
+    }
+
+    // Sets a VCA's volume, if a loaded bank has it.  Saved levels for VCAs in banks not yet loaded wait until they are.
+    function setVCAVolume(path, volume, owner)
+    {
+        var vca = runtime.vcas[path];
+
+        if (vca)
+        {
+            check("Studio::VCA::setVolume", function() { return vca.setVolume(volume); }, owner);
+        }
+    }
+
+    // Tells every player the mixer has changed, as the master bus and VCAs are shared by all of them.
+    function emitVolumeChange()
+    {
+        runtime.players.forEach(function(player)
+        {
+            player.showVolume();
+            player.emit("volumechange", runtime.mixer);
+        });
+    }
+
+    // Returns the master volume, from 0 (silent) to 1 (full).
+    FMODPlayer.prototype.getVolume = function()
+    {
+        return runtime ? runtime.mixer.volume : 1;
+    };
+
+    // Sets the master volume, from 0 to 1, and remembers it for the next visit.
+    FMODPlayer.prototype.setVolume = function(volume)
+    {
+        if (!runtime)
+        {
+            return false;
+        }
+
+        var mixer = runtime.mixer;
+
+        mixer.volume = clampVolume(volume, mixer.volume);
+        setMasterVolume(mixer.volume, mixer.muted, this);
+        saveMixer();
+        emitVolumeChange();
+
+        return true;
+    };
+
+    // True while the master bus is muted.
+    FMODPlayer.prototype.isMuted = function()
+    {
+        return runtime ? runtime.mixer.muted : false;
+    };
+
+    // Mutes or unmutes the master bus, keeping the volume to come back to, and remembers it for the next visit.
+    FMODPlayer.prototype.setMuted = function(muted)
+    {
+        if (!runtime)
+        {
+            return false;
+        }
+
+        var mixer = runtime.mixer;
+
+        mixer.muted = !!muted;
+        setMasterVolume(mixer.volume, mixer.muted, this);
+        saveMixer();
+        emitVolumeChange();
+
+        return true;
+    };
+
+    // Lists the VCAs in the loaded banks as { path, volume }, sorted by path.
+    FMODPlayer.prototype.getVCAs = function()
+    {
+        if (!runtime)
+        {
+            return [];
+        }
+
+        return Object.keys(runtime.vcas).sort().map(function(path)
+        {
+            return { path: path, volume: path in runtime.mixer.vcas ? runtime.mixer.vcas[path] : 1 };
+        });
+    };
+
+    // Sets the volume of a VCA from getVCAs(), from 0 to 1, and remembers it for the next visit.
+    FMODPlayer.prototype.setVCAVolume = function(path, volume)
+    {
+        if (!runtime || !(path in runtime.vcas))
+        {
+            return false;
+        }
+
+        var mixer = runtime.mixer;
+
+        mixer.vcas[path] = clampVolume(volume, path in mixer.vcas ? mixer.vcas[path] : 1);
+        setVCAVolume(path, mixer.vcas[path], this);
+        saveMixer();
+        emitVolumeChange();
+
+        return true;
+    };
+
+    // Shows the mixer settings on the volume and mute elements.
+    FMODPlayer.prototype.showVolume = function()
+    {
+        var elements = this.elements;
+        var mixer = runtime ? runtime.mixer : loadMixer();
+
+        if (elements.volume)
+        {
+            elements.volume.value = mixer.volume;
+        }
+        if (elements.mute)
+        {
+            elements.mute.textContent = mixer.muted ? "Unmute" : "Mute";
+            elements.mute.setAttribute("aria-pressed", mixer.muted);
+        }
+    };
+
+    // Lists the path of every event in the player's banks, sorted.  Snapshots are included, as "snapshot:/" paths.
+    // Paths come from the strings bank, so events are only listed once it has loaded.  Events the lazyBanks config
+    // names are listed too, loaded or not; requestEvent() loads them.
+    FMODPlayer.prototype.getEventList = function()
+    {
+        var self = this;
+        var paths = [];
+
+        (this.banks || []).forEach(function(bank)
+        {
+            var count = {};
+            var list = {};
+
+            if (!check("Studio::Bank::getEventCount", function() { return bank.getEventCount(count); }, self) || !count.val)
+            {
+                return;
+            }
+            if (!check("Studio::Bank::getEventList", function() { return bank.getEventList(list, count.val, count); }, self))
+            {
+                return;
+            }
+
+            list.val.forEach(function(description)
+            {
+                var path = {};
+
+                if (check("Studio::EventDescription::getPath", function() { return description.getPath(path, PATH_SIZE, null); }, self)
+                    && paths.indexOf(path.val) == -1)
+                {
+                    paths.push(path.val);
+                }
+            });
+        });
+
+        for (var name in this.config.lazyBanks)
+        {
+            (this.config.lazyBanks[name].events || []).forEach(function(path)
+            {
+                if (path.charAt(path.length - 1) != "/" && paths.indexOf(path) == -1)
+                {
+                    paths.push(path);
+                }
+            });
+        }
+
+        return paths.sort();
+    };
+
+    // Says where the runtime and the player's banks were downloaded from, and why any sources tried first failed:
+    // { runtime: { source, failures }, banks: [ { name, source, failures } ] }.  runtime is null when the page
+    // included fmodstudio.js itself.
+    FMODPlayer.prototype.getSources = function()
+    {
+        var banks = [];
+
+        if (!runtime)
+        {
+            return { runtime: null, banks: banks };
+        }
+
+        for (var name in runtime.banks)
+        {
+            var record = runtime.banks[name];
+
+            if (record.source && record.players.indexOf(this) != -1)
+            {
+                banks.push({ name: name, source: record.source, failures: record.failures });
+            }
+        }
+
+        return { runtime: runtime.source, banks: banks };
+    };
+
+    // Turns the background setting on or off: whether the player keeps playing while the page is hidden.
+    FMODPlayer.prototype.setBackground = function(background)
+    {
+        this.config.background = !!background;
+
+        if (runtime)
+        {
+            scheduleApplication();
+        }
+    };
+
+    // Moves the player to a new state (loading, ready or failed) and reflects it on the page.
+    FMODPlayer.prototype.setState = function(state, err)
+    {
+        var elements = this.elements;
+
+        this.state = state;
+
+        this.updateControls();
+
+        if (elements.retry)
+        {
+            elements.retry.hidden = state != "failed";
+        }
+        if (elements.progress)
+        {
+            elements.progress.hidden = state != "loading";
+        }
+
+        if (state == "loading")
+        {
+            this.setStatus("Please wait... Loading...");
+        }
+        else if (state == "failed")
+        {
+            this.setStatus((this.description ? "Audio stopped working." : "Could not load audio.") + (err && err.message ? " " + err.message : ""));
+        }
+        else
+        {
+            this.setStatus("");
+        }
+
+        this.emit("state", state, err);
+    };
+
+    // Starts the event.  Starting an instance that is already playing restarts it.
+    FMODPlayer.prototype.start = function()
+    {
+        var instance = this.instance;
+        var stale;
+
+        if (this.state != "ready")
+        {
+            return;
+        }
+
+        this.cancelFade();
+        stale = this.getPosition();
+
+        if (check("Studio::EventInstance::start", function() { return instance.start(); }, this))
+        {
+            // Back to the top of the timeline, which is not a loop.
+            this.position = 0;
+            this.stalePosition = stale;
+            this.emit("start");
+        }
+    };
+
+    // Stops the event.  By default Studio's fade out (AHDSR release) is allowed to play.
+    //   stop({ immediate: true })  - cut off straight away.
+    //   stop({ fade: 2000 })       - fade the instance volume out over 2000ms, then stop.
+    FMODPlayer.prototype.stop = function(options)
+    {
+        var FMOD = runtime.FMOD;
+        var instance = this.instance;
+        var mode;
+
+        options = options || {};
+
+        if (this.state != "ready")
+        {
+            return;
+        }
+
+        if (options.fade > 0 && !options.immediate)
+        {
+            this.fadeOut(options.fade);
+            return;
+        }
+
+        this.cancelFade();
+        mode = options.immediate ? FMOD.STUDIO_STOP_IMMEDIATE : FMOD.STUDIO_STOP_ALLOWFADEOUT;
+
+        if (check("Studio::EventInstance::stop", function() { return instance.stop(mode); }, this))
+        {
+            this.emit("stop");
+        }
+    };
+
+    // Pauses the event where it is.  resume() carries on from the same position.
+    FMODPlayer.prototype.pause = function()
+    {
+        this.setPaused(true);
+    };
+
+    // Resumes a paused event.
+    FMODPlayer.prototype.resume = function()
+    {
+        this.setPaused(false);
+    };
+
+    // Pauses or resumes the event, emitting "pause" or "resume".
+    FMODPlayer.prototype.setPaused = function(paused)
+    {
+        var instance = this.instance;
+
+        if (this.state != "ready")
+        {
+            return;
+        }
+
+        if (check("Studio::EventInstance::setPaused", function() { return instance.setPaused(paused); }, this))
+        {
+            this.emit(paused ? "pause" : "resume");
+        }
+    };
+
+    // Plays the event again from the start, whatever state it is in.
+    FMODPlayer.prototype.restart = function()
+    {
+        this.setPaused(false);
+        this.start();
+    };
+
+    // Fades the instance volume down to silence over the given time, then stops it.
+    // The volume is put back afterwards so the next start plays at full level.
+    FMODPlayer.prototype.fadeOut = function(duration)
+    {
+        var instance = this.instance;
+        var volume = {};
+
+        if (this.fade)
+        {
+            return;
+        }
+
+        if (!check("Studio::EventInstance::getVolume", function() { return instance.getVolume(volume); }, this))
+        {
+            volume.val = 1;
+        }
+
+        this.fade = { from: volume.val, to: 0, restore: volume.val, startTime: performance.now(), duration: duration };
+        this.emit("fade", duration);
+    };
+
+    // Stops a fade in progress and sets the volume it was restoring to: the starting level of a fade out,
+    // or full level for a crossfade's fade in.
+    FMODPlayer.prototype.cancelFade = function()
+    {
+        var instance = this.instance;
+        var fade = this.fade;
+
+        if (fade)
+        {
+            this.fade = null;
+            check("Studio::EventInstance::setVolume", function() { return instance.setVolume(fade.restore); }, this);
+        }
+    };
+
+    // Steps a custom fade.  A fade out stops the event when it reaches silence; a fade in just ends.
+    FMODPlayer.prototype.updateFade = function()
+    {
+        var instance = this.instance;
+        var fade = this.fade;
+        var amount = Math.min((performance.now() - fade.startTime) / fade.duration, 1);
+
+        check("Studio::EventInstance::setVolume", function() { return instance.setVolume(fade.from + (fade.to - fade.from) * amount); }, this);
+
+        if (amount < 1)
+        {
+            return;
+        }
+
+        if (fade.to == 0)
+        {
+            this.stop({ immediate: true });
+        }
+        else
+        {
+            this.fade = null;
+        }
+    };
+
+    // Switches to another event and starts it, fading the current one out while the new one fades in.
+    // The banks with the event must already be loaded (see addBanks()).  Without a duration, or with
+    // nothing playing, it simply switches and starts.  Returns false if the event cannot be found.
+    FMODPlayer.prototype.crossfadeTo = function(path, duration)
+    {
+        var old = this.instance;
+        var oldPath = this.config.event;
+        var playing = this.playbackState && this.playbackState != "stopped";
+        var volume = {};
+        var instance;
+        var tails;
+
+        if (this.state != "ready")
+        {
+            return false;
+        }
+
+        if (!(duration > 0) || !playing)
+        {
+            if (!this.selectEvent(path))
+            {
+                return false;
+            }
+
+            this.start();
+            return true;
+        }
+
+        if (!check("Studio::EventInstance::getVolume", function() { return old.getVolume(volume); }, this))
+        {
+            volume.val = 1;
+        }
+
+        // Take the old instance, and the tails of earlier crossfades still fading, out of the player's hands first,
+        // so createInstance() leaves them playing.
+        this.cancelFade();
+        this.instance = null;
+        tails = this.fadingOut;
+        this.fadingOut = [];
+
+        try
+        {
+            this.createInstance(path);
+        }
+        catch (err)
+        {
+            this.instance = old;
+            this.fadingOut = tails;
+            return false;
+        }
+
+        instance = this.instance;
+        this.fadingOut = tails;
+        this.fadingOut.push({ instance: old, path: oldPath, from: volume.val, startTime: performance.now(), duration: duration });
+
+        check("Studio::EventInstance::setVolume", function() { return instance.setVolume(0); }, this);
+        this.start();
+        this.fade = { from: 0, to: 1, restore: 1, startTime: performance.now(), duration: duration };
+
+        this.showTimeline();
+        this.emit("eventchange", path);
+        this.emit("fade", duration);
+
+        return true;
+    };
+
+    // Steps the instances a crossfade is fading out, letting each go once it reaches silence.
+    FMODPlayer.prototype.updateCrossfade = function()
+    {
+        var now = performance.now();
+
+        this.fadingOut = this.fadingOut.filter(function(tail)
+        {
+            var amount = Math.min((now - tail.startTime) / tail.duration, 1);
+
+            if (amount >= 1)
+            {
+                this.releaseTail(tail);
+                return false;
+            }
+
+            check("Studio::EventInstance::setVolume", function() { return tail.instance.setVolume(tail.from * (1 - amount)); }, this);
+            return true;
+        }, this);
+    };
+
+    // Stops and releases an instance a crossfade was fading out.
+    FMODPlayer.prototype.releaseTail = function(tail)
+    {
+        check("Studio::EventInstance::stop", function() { return tail.instance.stop(runtime.FMOD.STUDIO_STOP_IMMEDIATE); }, this);
+        check("Studio::EventInstance::release", function() { return tail.instance.release(); }, this);
+    };
+
+    // Reads the instance's playback state as a string:
+    // stopped, starting, playing, sustaining, stopping or paused.
+    FMODPlayer.prototype.getPlaybackState = function()
+    {
+        var FMOD = runtime.FMOD;
+        var instance = this.instance;
+        var state = {};
+        var paused = {};
+
+        if (this.state != "ready")
+        {
+            return "stopped";
+        }
+
+        if (!check("Studio::EventInstance::getPlaybackState", function() { return instance.getPlaybackState(state); }, this))
+        {
+            return this.playbackState || "stopped";
+        }
+
+        if (state.val != FMOD.STUDIO_PLAYBACK_STOPPED
+            && check("Studio::EventInstance::getPaused", function() { return instance.getPaused(paused); }, this)
+            && paused.val)
+        {
+            return "paused";
+        }
+
+        switch (state.val)
+        {
+            case FMOD.STUDIO_PLAYBACK_STARTING:
+                return "starting";
+            case FMOD.STUDIO_PLAYBACK_PLAYING:
+                return "playing";
+            case FMOD.STUDIO_PLAYBACK_SUSTAINING:
+                return "sustaining";
+            case FMOD.STUDIO_PLAYBACK_STOPPING:
+                return "stopping";
+            default:
+                return "stopped";
+        }
+    };
+
+    // Returns true while the event instance is playing or starting, and not paused.
+    FMODPlayer.prototype.isPlaying = function()
+    {
+        var state = this.getPlaybackState();
+
+        return state == "playing" || state == "starting" || state == "sustaining";
+    };
+
+    // Plays an event once and lets it go, as the Simple Event Example does with its explosion: create, start, release.
+    // params sets parameters by name before it starts, e.g. { Intensity: 0.8 }.  Once the event's voices limit is
+    // reached, the oldest or quietest of its one-shots is stopped to make room, or with steal "none" nothing plays.
+    // Returns false when nothing was played.
+    FMODPlayer.prototype.playOneShot = function(path, params)
+    {
+        var self = this;
+        var FMOD = runtime && runtime.FMOD;
+        var voices = this.config.voices[path] || this.config.voices["*"] || {};
+        var limit = {
+            max   : voices.max > 0 ? voices.max : DEFAULT_VOICES.max,
+            steal : voices.steal || DEFAULT_VOICES.steal
+        };
+        var playing;
+        var description = {};
+        var outval = {};
+        var instance;
+
+        if (this.state != "ready")
+        {
+            return false;
+        }
+
+        playing = this.oneShots[path] = this.pruneOneShots(path);
+
+        if (playing.length >= limit.max)
+        {
+            if (limit.steal == "none")
+            {
+                return false;
+            }
+
+            var victim = limit.steal == "quietest" ? this.findQuietest(playing) : playing[0];
+
+            check("Studio::EventInstance::stop", function() { return victim.stop(FMOD.STUDIO_STOP_IMMEDIATE); }, this);
+            playing.splice(playing.indexOf(victim), 1);
+        }
+
+        try
+        {
+            check("Studio::System::getEvent", function() { return runtime.system.getEvent(path, description); }, this);
+            check("Studio::EventDescription::createInstance", function() { return description.val.createInstance(outval); }, this);
+        }
+        catch (err)
+        {
+            return false;
+        }
+
+        instance = outval.val;
+
+        // A 3D one-shot comes from where the player's event is.
+        if (this.attributes3D)
+        {
+            check("Studio::EventInstance::set3DAttributes", function() { return instance.set3DAttributes(toAttributes(self.attributes3D)); }, this);
+        }
+
+        for (var name in params)
+        {
+            check("Studio::EventInstance::setParameterByName", function() { return instance.setParameterByName(name, params[name], false); }, this);
+        }
+
+        // Released straight away, so Studio destroys it when it finishes.  The handle stays usable until then,
+        // which is all stealing needs.
+        if (!check("Studio::EventInstance::start", function() { return instance.start(); }, this))
+        {
+            check("Studio::EventInstance::release", function() { return instance.release(); }, this);
+            return false;
+        }
+        check("Studio::EventInstance::release", function() { return instance.release(); }, this);
+
+        playing.push(instance);
+
+        return true;
+    };
+
+    // Drops the one-shots of an event that have finished, and returns the rest.
+    FMODPlayer.prototype.pruneOneShots = function(path)
+    {
+        var FMOD = runtime.FMOD;
+
+        return (this.oneShots[path] || []).filter(function(instance)
+        {
+            var state = {};
+
+            return instance.isValid() && instance.getPlaybackState(state) == FMOD.OK && state.val != FMOD.STUDIO_PLAYBACK_STOPPED;
+        });
+    };
+
+    // Returns the one-shot that is hardest to hear, going by its channel group's audibility.
+    FMODPlayer.prototype.findQuietest = function(instances)
+    {
+        var quietest = instances[0];
+        var lowest = Infinity;
+
+        instances.forEach(function(instance)
+        {
+            var group = {};
+            var audibility = {};
+
+            // One that has not got a channel group yet has only just started, so counts as loud.
+            if (instance.getChannelGroup(group) != runtime.FMOD.OK || group.val.getAudibility(audibility) != runtime.FMOD.OK)
+            {
+                audibility.val = 1;
+            }
+
+            if (audibility.val < lowest)
+            {
+                lowest = audibility.val;
+                quietest = instance;
+            }
+        });
+
+        return quietest;
+    };
+
+    // Stops every one-shot the player started.
+    FMODPlayer.prototype.stopOneShots = function()
+    {
+        for (var path in this.oneShots)
+        {
+            this.pruneOneShots(path).forEach(function(instance)
+            {
+                check("Studio::EventInstance::stop", function() { return instance.stop(runtime.FMOD.STUDIO_STOP_IMMEDIATE); }, this);
+            }, this);
+        }
+
+        this.oneShots = {};
+    };
+
+    // Keeps a snapshot intensity between 0 and 100, or returns the fallback for anything that is not a number.
+    function clampIntensity(value, fallback)
+    {
+        return typeof value == "number" && isFinite(value) ? Math.min(Math.max(value, 0), 100) : fallback;
+    }
+
+    // Lists the snapshots in the player's banks: { path, active, intensity } for each, sorted by path.
+    FMODPlayer.prototype.getSnapshots = function()
+    {
+        var self = this;
+
+        return this.getEventList().filter(function(path)
+        {
+            return path.indexOf("snapshot:/") == 0;
+        })
+        .map(function(path)
+        {
+            var snapshot = self.snapshots[path];
+
+            return { path: path, active: !!(snapshot && snapshot.active), intensity: snapshot ? snapshot.intensity : 100 };
+        });
+    };
+
+    // Returns true while the snapshot is started.
+    FMODPlayer.prototype.isSnapshotActive = function(path)
+    {
+        return !!(this.snapshots[path] && this.snapshots[path].active);
+    };
+
+    // Starts a snapshot, e.g. "snapshot:/Underwater", at an intensity from 0 to 100: the one given, else the last one
+    // set, else 100.  Starting a snapshot that is already active just sets its intensity.  Emits "snapshot" with the
+    // path, whether it is active and its intensity.  Returns false when it cannot be started.
+    FMODPlayer.prototype.startSnapshot = function(path, intensity)
+    {
+        var snapshot = this.snapshots[path] || { instance: null, active: false, intensity: 100 };
+        var description = {};
+        var outval = {};
+        var instance;
+
+        if (this.state != "ready")
+        {
+            return false;
+        }
+        if (snapshot.instance)
+        {
+            return this.setSnapshotIntensity(path, intensity);
+        }
+
+        try
+        {
+            check("Studio::System::getEvent", function() { return runtime.system.getEvent(path, description); }, this);
+            check("Studio::EventDescription::createInstance", function() { return description.val.createInstance(outval); }, this);
+        }
+        catch (err)
+        {
+            return false;
+        }
+
+        instance = outval.val;
+        snapshot.intensity = clampIntensity(intensity, snapshot.intensity);
+
+        // Snapshot intensity is exposed as a built-in parameter.
+        check("Studio::EventInstance::setParameterByName", function() { return instance.setParameterByName("Intensity", snapshot.intensity, false); }, this);
+
+        if (!check("Studio::EventInstance::start", function() { return instance.start(); }, this))
+        {
+            check("Studio::EventInstance::release", function() { return instance.release(); }, this);
+            return false;
+        }
+
+        snapshot.instance = instance;
+        snapshot.active = true;
+        this.snapshots[path] = snapshot;
+        this.emit("snapshot", path, true, snapshot.intensity);
+
+        return true;
+    };
+
+    // Stops a snapshot, letting the mix ease back with the snapshot's own fade out, or straight away with
+    // { immediate: true }.  Its intensity is remembered for the next start.
+    FMODPlayer.prototype.stopSnapshot = function(path, options)
+    {
+        var snapshot = this.snapshots[path];
+        var instance = snapshot && snapshot.instance;
+        var mode;
+
+        if (!instance)
+        {
+            return;
+        }
+
+        mode = options && options.immediate ? runtime.FMOD.STUDIO_STOP_IMMEDIATE : runtime.FMOD.STUDIO_STOP_ALLOWFADEOUT;
+
+        check("Studio::EventInstance::stop", function() { return instance.stop(mode); }, this);
+        check("Studio::EventInstance::release", function() { return instance.release(); }, this);
+
+        snapshot.instance = null;
+        snapshot.active = false;
+        this.emit("snapshot", path, false, snapshot.intensity);
+    };
+
+    // Sets a snapshot's intensity, from 0 to 100.  A snapshot that is not active takes it when it next starts.
+    FMODPlayer.prototype.setSnapshotIntensity = function(path, intensity)
+    {
+        var snapshot = this.snapshots[path] || (this.snapshots[path] = { instance: null, active: false, intensity: 100 });
+        var instance = snapshot.instance;
+
+        snapshot.intensity = clampIntensity(intensity, snapshot.intensity);
+
+        if (instance && !check("Studio::EventInstance::setParameterByName", function() { return instance.setParameterByName("Intensity", snapshot.intensity, false); }, this))
+        {
+            return false;
+        }
+
+        this.emit("snapshot", path, snapshot.active, snapshot.intensity);
+
+        return true;
+    };
+
+    // Starts the snapshots that were active when the Studio system was released, once the banks are back.
+    FMODPlayer.prototype.restoreSnapshots = function()
+    {
+        for (var path in this.snapshots)
+        {
+            if (this.snapshots[path].active && !this.snapshots[path].instance)
+            {
+                this.snapshots[path].active = false;
+                this.startSnapshot(path);
+            }
+        }
+    };
+
+    // Stops every snapshot the player started, straight away.
+    FMODPlayer.prototype.stopSnapshots = function()
+    {
+        for (var path in this.snapshots)
+        {
+            this.stopSnapshot(path, { immediate: true });
+        }
+    };
+
+    // Returns a new FMOD._3D_ATTRIBUTES filled from { position, velocity, forward, up }, each { x, y, z }, as in the Event 3D
+    // Example.  Positions are in metres on FMOD's axes, +x right, +y up and +z forward, and velocities in metres per second,
+    // which Studio's Doppler effect works from.  Missing vectors default to the origin, at rest, facing +z with +y up.
+    function toAttributes(attributes)
+    {
+        var result = runtime.FMOD._3D_ATTRIBUTES();
+        var defaultVectors = {
+            position : { x: 0, y: 0, z: 0 },
+            velocity : { x: 0, y: 0, z: 0 },
+            forward  : { x: 0, y: 0, z: 1 },
+            up       : { x: 0, y: 1, z: 0 }
+        };
+
+        for (var name in defaultVectors)
+        {
+            var vector = attributes[name] || defaultVectors[name];
+
+            result[name].x = vector.x;
+            result[name].y = vector.y;
+            result[name].z = vector.z;
+        }
+
+        return result;
+    }
+
+    // Moves listener 0, which every player hears through.
+    function setListener(attributes, owner)
+    {
+        return check("Studio::System::setListenerAttributes", function() { return runtime.system.setListenerAttributes(0, toAttributes(attributes), null); }, owner);
+    }
+
+    // Positions the player's event: { position, velocity, forward, up }, see toAttributes().  Kept for the instances
+    // the player creates later, and its one-shots.  Has no effect on events without a spatializer.
+    FMODPlayer.prototype.set3DAttributes = function(attributes)
+    {
+        var self = this;
+
+        this.attributes3D = attributes;
+
+        if (!this.instance)
+        {
+            return false;
+        }
+
+        return check("Studio::EventInstance::set3DAttributes", function() { return self.instance.set3DAttributes(toAttributes(attributes)); }, this);
+    };
+
+    // Positions the listener, shared by every player: { position, velocity, forward, up }, see toAttributes().
+    FMODPlayer.prototype.setListenerAttributes = function(attributes)
+    {
+        if (!runtime)
+        {
+            return false;
+        }
+
+        runtime.listener = attributes;
+
+        return runtime.system ? setListener(attributes, this) : false;
+    };
+
+    // Returns the distances the event's attenuation starts and ends at, in metres: { min, max }.  Null for a 2D event.
+    FMODPlayer.prototype.getMinMaxDistance = function()
+    {
+        var description = this.description;
+        var is3D = {};
+        var min = {};
+        var max = {};
+
+        if (!description
+            || !check("Studio::EventDescription::is3D", function() { return description.is3D(is3D); }, this) || !is3D.val
+            || !check("Studio::EventDescription::getMinMaxDistance", function() { return description.getMinMaxDistance(min, max); }, this))
+        {
+            return null;
+        }
+
+        return { min: min.val, max: max.val };
+    };
+
+    // Called from the application loop, once per frame.
+    FMODPlayer.prototype.update = function()
+    {
+        var playbackState;
+
+        if (this.fade)
+        {
+            this.updateFade();
+        }
+        if (this.fadingOut.length)
+        {
+            this.updateCrossfade();
+        }
+
+        // Follow the instance's real state, so the page reacts to the event ending or fading out by itself.
+        playbackState = this.getPlaybackState();
+        if (playbackState != this.playbackState)
+        {
+            this.playbackState = playbackState;
+            this.updateControls();
+            this.emit("playbackstate", playbackState);
+        }
+
+        this.updateTimeline();
+
+        if (this.timelineEvents.length)
+        {
+            this.dispatchTimelineEvents();
+        }
+    };
+
+    // Returns the event's timeline length in milliseconds, or 0 when it has no fixed length.
+    FMODPlayer.prototype.getLength = function()
+    {
+        var description = this.description;
+        var length = {};
+
+        if (!description || !check("Studio::EventDescription::getLength", function() { return description.getLength(length); }, this))
+        {
+            return 0;
+        }
+
+        return length.val;
+    };
+
+    // Returns the instance's timeline position in milliseconds.
+    FMODPlayer.prototype.getPosition = function()
+    {
+        var instance = this.instance;
+        var position = {};
+
+        if (this.state != "ready" || !check("Studio::EventInstance::getTimelinePosition", function() { return instance.getTimelinePosition(position); }, this))
+        {
+            return this.position || 0;
+        }
+
+        return position.val;
+    };
+
+    // Reads the timeline position and updates the time display, emitting "timeupdate" when it moves.
+    // A looping event jumps back on its timeline, which is reported as a "loop".
+    FMODPlayer.prototype.updateTimeline = function()
+    {
+        var position;
+        var previous = this.position;
+
+        // While scrubbing, the position being dragged to is shown rather than the one Studio has caught up with.
+        if (this.scrubbing)
+        {
+            return;
+        }
+
+        position = this.playbackState == "stopped" ? 0 : this.getPosition();
+
+        // Until Studio's next update applies a seek or restart, it still reports the old position, which would
+        // show for a frame and then look like a loop back to the new one.
+        if (this.stalePosition !== null)
+        {
+            if (position == this.stalePosition)
+            {
+                return;
+            }
+            this.stalePosition = null;
+        }
+
+        if (position == previous)
+        {
+            return;
+        }
+
+        this.position = position;
+
+        if (position < previous && this.playbackState != "stopped")
+        {
+            this.emit("loop", position);
+        }
+
+        this.showTimeline();
+        this.emit("timeupdate", { position: position, length: this.length, fraction: this.getFraction() });
+    };
+
+    // Jumps to a timeline position in milliseconds.  A stopped event is started first, so seeking always plays from there.
+    FMODPlayer.prototype.seek = function(position)
+    {
+        var instance = this.instance;
+        var stale;
+
+        if (this.state != "ready")
+        {
+            return;
+        }
+
+        position = Math.max(0, this.length ? Math.min(position, this.length) : position);
+
+        if (this.getPlaybackState() == "stopped")
+        {
+            this.start();
+        }
+
+        stale = this.getPosition();
+
+        if (check("Studio::EventInstance::setTimelinePosition", function() { return instance.setTimelinePosition(position); }, this))
+        {
+            // Studio applies the new position on its next update, so show it straight away, and ignore the old one
+            // until then.
+            this.position = position;
+            this.stalePosition = stale;
+            this.showTimeline();
+            this.emit("seek", position);
+        }
+    };
+
+    // Makes the timeline element clickable, draggable and keyboard operable for seeking.
+    FMODPlayer.prototype.bindTimeline = function(timeline)
+    {
+        var self = this;
+
+        // Seeks to wherever the pointer is along the timeline.
+        function seekToPointer(e)
+        {
+            var rect = timeline.getBoundingClientRect();
+            var fraction = rect.width ? (e.clientX - rect.left) / rect.width : 0;
+
+            if (self.length)
+            {
+                self.seek(Math.max(0, Math.min(fraction, 1)) * self.length);
+            }
+        }
+
+        timeline.tabIndex = 0;
+        timeline.setAttribute("role", "slider");
+        timeline.setAttribute("aria-label", "Seek");
+
+        self.listen(timeline, 'pointerdown', function(e)
+        {
+            if (!self.length || self.state != "ready")
+            {
+                return;
+            }
+
+            self.scrubbing = true;
+            if (timeline.setPointerCapture)
+            {
+                timeline.setPointerCapture(e.pointerId);
+            }
+            seekToPointer(e);
+            e.preventDefault();
+        });
+
+        self.listen(timeline, 'pointermove', function(e)
+        {
+            if (self.scrubbing)
+            {
+                seekToPointer(e);
+            }
+        });
+
+        function endScrub()
+        {
+            self.scrubbing = false;
+        }
+
+        self.listen(timeline, 'pointerup', endScrub);
+        self.listen(timeline, 'pointercancel', endScrub);
+
+        self.listen(timeline, 'keydown', function(e)
+        {
+            var target;
+
+            switch (e.key)
+            {
+                case "ArrowLeft":
+                case "ArrowDown":
+                    target = self.position - SEEK_STEP;
+                    break;
+                case "ArrowRight":
+                case "ArrowUp":
+                    target = self.position + SEEK_STEP;
+                    break;
+                case "Home":
+                    target = 0;
+                    break;
+                case "End":
+                    if (!self.length)
+                    {
+                        return;
+                    }
+                    target = self.length;
+                    break;
+                default:
+                    return;
+            }
+
+            self.seek(target);
+            e.preventDefault();
+        });
+    };
+
+    // Returns how far along the timeline the instance is, from 0 to 1, or null when the event has no fixed length.
+    FMODPlayer.prototype.getFraction = function()
+    {
+        if (!this.length)
+        {
+            return null;
+        }
+
+        return Math.min(this.position / this.length, 1);
+    };
+
+    // Draws the timeline position into the timelineFill and time elements.
+    FMODPlayer.prototype.showTimeline = function()
+    {
+        var elements = this.elements;
+        var fraction = this.getFraction();
+
+        if (elements.timelineFill)
+        {
+            elements.timelineFill.style.width = (fraction === null ? 0 : fraction * 100) + "%";
+        }
+        if (elements.timeline)
+        {
+            elements.timeline.classList.toggle("is-unbounded", fraction === null);
+            elements.timeline.setAttribute("aria-valuemin", 0);
+            elements.timeline.setAttribute("aria-valuemax", Math.round(this.length / 1000));
+            elements.timeline.setAttribute("aria-valuenow", Math.round(this.position / 1000));
+            elements.timeline.setAttribute("aria-valuetext", formatTime(this.position));
+        }
+        if (elements.time)
+        {
+            elements.time.textContent = this.length ? formatTime(this.position) + " / " + formatTime(this.length) : formatTime(this.position);
+        }
+    };
+
+    // Enables the control elements that make sense for the current playback state.
+    FMODPlayer.prototype.updateControls = function()
+    {
+        var elements = this.elements;
+        var ready = this.state == "ready";
+        var stopped = this.playbackState == "stopped" || !this.playbackState;
+
+        if (elements.play)
+        {
+            elements.play.disabled = !ready;
+        }
+        if (elements.stop)
+        {
+            elements.stop.disabled = !ready || stopped;
+        }
+        if (elements.pause)
+        {
+            elements.pause.disabled = !ready || stopped;
+            elements.pause.textContent = this.playbackState == "paused" ? "Resume" : "Pause";
+        }
+        if (elements.restart)
+        {
+            elements.restart.disabled = !ready;
+        }
+    };
+
+    // Returns the audio unlock state: locked, unlocking, running or interrupted.
+    FMODPlayer.prototype.getAudioState = function()
+    {
+        return runtime ? runtime.audioState : "locked";
+    };
+
+    // Returns the statistics gathered every update, shared by all players: cpu, channelsPlaying, bufferSize, numBuffers,
+    // mixerRate, driverRate, latency (ms), memory { current, max, total } (bytes) and bufferUsage.  Empty until the runtime has started.
+    FMODPlayer.prototype.getStats = function()
+    {
+        return runtime ? runtime.stats : {};
+    };
+
+    // Returns FMOD's log so far, oldest first: { time, level, category, file, line, func, message } for each line, where
+    // level is error, warning or log.  Only the logging build has FMOD's messages; new lines arrive through the "log" event.
+    FMODPlayer.prototype.getLog = function()
+    {
+        return runtime ? runtime.log.slice() : [];
+    };
+
+    // Returns how FMOD's log is collected: "callback", "tty", or null when the build does not log.
+    FMODPlayer.prototype.getLogMode = function()
+    {
+        return runtime ? runtime.logging : null;
+    };
+
+    // Writes a message to the player's status element, if it has one.
+    FMODPlayer.prototype.setStatus = function(text)
+    {
+        if (this.elements.status)
+        {
+            this.elements.status.textContent = text;
+        }
+    };
+
+    // Adds a listener for one of the player's events: state, progress, ready, start, stop, pause, resume, fade,
+    // playbackstate, timeupdate, loop, seek, beat, marker, eventchange, volumechange, audiostate, log, destroy, error.
+    // Errors are FMODError objects for failed FMOD calls (severity "warning" or "fatal"), or plain Errors for failed downloads.
+    // Errors the player stays ready after, such as a bank loaded on demand failing, have severity "warning"; the rest
+    // are followed by the failed state.
+    FMODPlayer.prototype.on = function(type, listener)
+    {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+
+        if (type == "ready" && this.state == "ready")
+        {
+            listener.call(this);
+        }
+
+        return this;
+    };
+
+    // Removes a listener added with on().
+    FMODPlayer.prototype.off = function(type, listener)
+    {
+        var list = this.listeners[type] || [];
+        var index = list.indexOf(listener);
+
+        if (index != -1)
+        {
+            list.splice(index, 1);
+        }
+
+        return this;
+    };
+
+    // Calls every listener of the given type with the remaining arguments.
+    FMODPlayer.prototype.emit = function(type)
+    {
+        var args = Array.prototype.slice.call(arguments, 1);
+        var list = (this.listeners[type] || []).slice();
+
+        for (var i = 0; i < list.length; i++)
+        {
+            list[i].apply(this, args);
+        }
+
+        return this;
+    };
+
+    // Returns a promise for the shared runtime: { FMOD, system, core, stats }.
+    FMODPlayer.getRuntime = getRuntime;
+
+    // Sets the error policy for an FMOD API call, e.g. FMODPlayer.setErrorPolicy("Studio::EventInstance::start", "fatal").
+    // Use "*" for every call without a policy of its own.
+    FMODPlayer.setErrorPolicy = function(call, policy)
+    {
+        errorPolicies[call] = policy;
+    };
+
+    FMODPlayer.FMODError = FMODError;
+
+    window.FMODPlayer = FMODPlayer;
+
+})(window, document);
@@ -0,0 +1,371 @@
+/*==============================================================================
+FMOD Playlist
+Plays a list of events one after another through a player, crossfading from
+each track into the next, with shuffle, repeat and next/previous controls.
+Tracks can come from banks the player has not loaded yet, listed with the
+track or in the player's lazyBanks config; they are loaded when the track
+comes up.
+
+    var player = new FMODPlayer({ ... });
+    var playlist = new FMODPlaylist(player, {
+        tracks    : [ "event:/Music", { event: "event:/Showreel/Trailer", banks: [ "Showreel.bank" ], title: "Trailer" } ],
+        crossfade : 3000,                           // ms, 0 to cut straight to the next track
+        shuffle   : false,
+        repeat    : "all",                          // none, all or one
+        elements  : { previous: "#prev", next: "#next", shuffle: "#shuffle", repeat: "#repeat", title: "#title", list: "#tracks" }
+    });
+
+    playlist.play(0);
+
+A track moves on when it reaches the crossfade point before its end, when it
+loops, or when it stops by itself.  Stopping the player, or picking another
+event (e.g. from the event browser), takes the player away from the playlist
+until a track is played through it again.
+==============================================================================*/
+
+(function(window, document)
+{
+    var REPEAT_MODES = [ "none", "all", "one" ];
+
+    // Creates a playlist that drives the player.
+    function FMODPlaylist(player, options)
+    {
+        var self = this;
+
+        options = options || {};
+
+        this.player = player;
+        this.crossfade = options.crossfade >= 0 ? options.crossfade : 3000;
+        this.shuffle = !!options.shuffle;
+        this.repeat = REPEAT_MODES.indexOf(options.repeat) != -1 ? options.repeat : "all";
+        this.tracks = [];
+        this.order = [];                    // Track indices in playing order, shuffled or not.
+        this.position = -1;                 // Index into order of the current track, -1 when there is none.
+        this.active = false;                // True from play() until the player is stopped or moves to another event.
+        this.advancing = false;             // True from deciding to move on until the next track has started.
+        this.stopped = false;               // True when the player was stopped on purpose, so the end is not an advance.
+
+        this.elements = {};
+        for (var key in options.elements)
+        {
+            this.elements[key] = typeof options.elements[key] === "string" ? document.querySelector(options.elements[key]) : options.elements[key];
+        }
+
+        this.bindControls();
+        this.setTracks(options.tracks || []);
+
+        player.on("ready", function() { self.sync(); });
+        player.on("start", function() { self.stopped = false; });
+        player.on("stop", function()
+        {
+            self.stopped = true;
+            self.active = false;
+        });
+        player.on("eventchange", function(path)
+        {
+            var track = self.getCurrent();
+
+            self.active = self.active && !!track && track.event == path;
+            self.render();
+        });
+        player.on("timeupdate", function(time)
+        {
+            // Start the crossfade early enough that it ends as the track does.  Tracks shorter than
+            // the crossfade play out and move on when they stop.
+            if (time.length > self.crossfade && time.position >= time.length - self.crossfade)
+            {
+                self.advance();
+            }
+        });
+        player.on("loop", function() { self.advance(); });
+        player.on("playbackstate", function(state)
+        {
+            if (state == "stopped" && !self.stopped)
+            {
+                self.advance();
+            }
+        });
+    }
+
+    // Replaces the tracks.  Each is an event path, or { event, banks, title }.
+    FMODPlaylist.prototype.setTracks = function(tracks)
+    {
+        this.tracks = tracks.map(function(track)
+        {
+            track = typeof track === "string" ? { event: track } : track;
+
+            return {
+                event : track.event,
+                banks : track.banks || [],
+                title : track.title || track.event.substring(track.event.lastIndexOf("/") + 1)
+            };
+        });
+
+        this.order = this.makeOrder(-1);
+        this.position = -1;
+        this.sync();
+    };
+
+    // Returns the current track, or null.
+    FMODPlaylist.prototype.getCurrent = function()
+    {
+        return this.position == -1 ? null : this.tracks[this.order[this.position]];
+    };
+
+    // Plays a track, by its index in the tracks, crossfading from whatever is playing.
+    // Resolves with false if a later call took over while its banks were loading, or the event could not be found.
+    FMODPlaylist.prototype.play = function(index)
+    {
+        var self = this;
+        var track = this.tracks[index];
+
+        if (!track)
+        {
+            return Promise.resolve(false);
+        }
+
+        this.position = this.order.indexOf(index);
+        this.advancing = true;
+        this.render();
+
+        return Promise.all([ this.player.addBanks(track.banks), this.player.requestEvent(track.event) ]).then(function()
+        {
+            if (self.getCurrent() !== track)
+            {
+                return false;
+            }
+
+            self.active = true;
+            self.advancing = false;
+
+            if (!self.player.crossfadeTo(track.event, self.crossfade))
+            {
+                self.active = false;
+                return false;
+            }
+
+            self.render();
+            return true;
+        }, function(err)
+        {
+            // The player reports bank failures through its own "error" event.
+            self.advancing = false;
+            return false;
+        });
+    };
+
+    // Moves on to the next track in playing order, wrapping round at the end.
+    FMODPlaylist.prototype.next = function()
+    {
+        return this.play(this.findNext(true));
+    };
+
+    // Goes back to the previous track in playing order, wrapping round at the start.
+    FMODPlaylist.prototype.previous = function()
+    {
+        var position = this.position <= 0 ? this.order.length - 1 : this.position - 1;
+
+        return this.play(this.order[position]);
+    };
+
+    // Moves on by itself at the end of a track, following the repeat mode.  Ending on the last track
+    // with repeat "none" leaves the player to stop there.
+    FMODPlaylist.prototype.advance = function()
+    {
+        var index;
+
+        if (!this.active || this.advancing)
+        {
+            return;
+        }
+
+        index = this.repeat == "one" ? this.order[this.position] : this.findNext(this.repeat == "all");
+        if (index === null)
+        {
+            return;
+        }
+
+        this.play(index);
+    };
+
+    // Returns the track index after the current one, or null at the end without wrapping.
+    // Wrapping round a shuffled playlist shuffles it again, without playing the same track twice in a row.
+    FMODPlaylist.prototype.findNext = function(wrap)
+    {
+        if (!this.tracks.length)
+        {
+            return null;
+        }
+        if (this.position + 1 < this.order.length)
+        {
+            return this.order[this.position + 1];
+        }
+        if (!wrap)
+        {
+            return null;
+        }
+
+        if (this.shuffle)
+        {
+            this.order = this.makeOrder(-1, this.order[this.position]);
+        }
+        this.position = -1;
+
+        return this.order[0];
+    };
+
+    // Builds a playing order: in sequence, or shuffled with first (if not -1) at the front and avoid away from it.
+    FMODPlaylist.prototype.makeOrder = function(first, avoid)
+    {
+        var order = this.tracks.map(function(track, index) { return index; });
+
+        if (!this.shuffle)
+        {
+            return order;
+        }
+
+        // Fisher-Yates shuffle.
+        for (var i = order.length - 1; i > 0; i--)
+        {
+            var j = Math.floor(Math.random() * (i + 1));
+            var swap = order[i];
+
+            order[i] = order[j];
+            order[j] = swap;
+        }
+
+        if (first != -1)
+        {
+            order.splice(order.indexOf(first), 1);
+            order.unshift(first);
+        }
+        else if (order.length > 1 && order[0] === avoid)
+        {
+            order.push(order.shift());
+        }
+
+        return order;
+    };
+
+    // Turns shuffle on or off, keeping the current track where it is.
+    FMODPlaylist.prototype.setShuffle = function(shuffle)
+    {
+        var current = this.position == -1 ? -1 : this.order[this.position];
+
+        this.shuffle = !!shuffle;
+        this.order = this.makeOrder(current);
+        this.position = current == -1 ? -1 : this.order.indexOf(current);
+        this.render();
+    };
+
+    // Sets the repeat mode: none, all or one.
+    FMODPlaylist.prototype.setRepeat = function(repeat)
+    {
+        if (REPEAT_MODES.indexOf(repeat) != -1)
+        {
+            this.repeat = repeat;
+            this.render();
+        }
+    };
+
+    // Picks up the player's current event as the current track, if it is one of them.  The playlist only
+    // takes over once a track is played through it.
+    FMODPlaylist.prototype.sync = function()
+    {
+        var path = this.player.config.event;
+        var index = -1;
+
+        this.tracks.forEach(function(track, i)
+        {
+            if (index == -1 && track.event == path)
+            {
+                index = i;
+            }
+        });
+
+        if (index != -1)
+        {
+            this.position = this.order.indexOf(index);
+        }
+        this.render();
+    };
+
+    // Wires up the previous, next, shuffle and repeat elements.
+    FMODPlaylist.prototype.bindControls = function()
+    {
+        var self = this;
+        var elements = this.elements;
+
+        if (elements.previous)
+        {
+            elements.previous.addEventListener('click', function() { self.previous(); });
+        }
+        if (elements.next)
+        {
+            elements.next.addEventListener('click', function() { self.next(); });
+        }
+        if (elements.shuffle)
+        {
+            elements.shuffle.addEventListener('click', function() { self.setShuffle(!self.shuffle); });
+        }
+        if (elements.repeat)
+        {
+            elements.repeat.addEventListener('click', function()
+            {
+                self.setRepeat(REPEAT_MODES[(REPEAT_MODES.indexOf(self.repeat) + 1) % REPEAT_MODES.length]);
+            });
+        }
+    };
+
+    // Shows the current track, the track list and the shuffle and repeat settings.
+    FMODPlaylist.prototype.render = function()
+    {
+        var self = this;
+        var elements = this.elements;
+        var current = this.getCurrent();
+
+        if (elements.title)
+        {
+            elements.title.textContent = current ? current.title : "";
+        }
+        if (elements.shuffle)
+        {
+            elements.shuffle.setAttribute("aria-pressed", this.shuffle);
+            elements.shuffle.textContent = this.shuffle ? "Shuffle: on" : "Shuffle: off";
+        }
+        if (elements.repeat)
+        {
+            elements.repeat.textContent = "Repeat: " + this.repeat;
+        }
+        if (elements.list)
+        {
+            var list = document.createElement("ol");
+
+            this.tracks.forEach(function(track, index)
+            {
+                var item = document.createElement("li");
+                var button = document.createElement("button");
+
+                button.type = "button";
+                button.textContent = track.title;
+                button.title = track.event;
+                button.addEventListener('click', function() { self.play(index); });
+
+                if (track === current)
+                {
+                    item.setAttribute("aria-current", "true");
+                    item.className = "is-current";
+                }
+
+                item.appendChild(button);
+                list.appendChild(item);
+            });
+
+            elements.list.textContent = "";
+            elements.list.appendChild(list);
+        }
+    };
+
+    window.FMODPlaylist = FMODPlaylist;
+
+})(window, document);
@@ -0,0 +1,113 @@
+/*==============================================================================
+FMOD Snapshot Panel
+Lists the snapshots in the loaded banks, each with a button to start and stop
+it and a slider for its intensity, to demo the mix states authored in Studio.
+
+    var player = new FMODPlayer({ ... });
+    var snapshots = new FMODSnapshotPanel(player, "#snapshots");
+
+The intensity can be set before a snapshot starts; it starts at that level.
+Snapshots can also be driven by path without the panel, e.g.
+player.startSnapshot("snapshot:/Underwater", 50).
+==============================================================================*/
+
+(function(window, document)
+{
+    // Creates a panel for the snapshots in the player's banks inside the container element or selector.
+    function FMODSnapshotPanel(player, container)
+    {
+        var self = this;
+
+        this.player = player;
+        this.container = typeof container === "string" ? document.querySelector(container) : container;
+        this.rows = {};                     // { button, slider, value } by snapshot path.
+
+        player.on("ready", function() { self.render(); });
+        player.on("snapshot", function(path, active, intensity) { self.update(path, active, intensity); });
+    }
+
+    // Builds a row for each snapshot.
+    FMODSnapshotPanel.prototype.render = function()
+    {
+        var self = this;
+        var snapshots = this.player.getSnapshots();
+
+        this.rows = {};
+        this.container.textContent = "";
+        this.container.classList.add("snapshot-panel");
+
+        if (!snapshots.length)
+        {
+            this.container.textContent = "No snapshots found.";
+            return;
+        }
+
+        snapshots.forEach(function(snapshot)
+        {
+            self.container.appendChild(self.renderSnapshot(snapshot));
+        });
+    };
+
+    // Renders one snapshot as its name, a start/stop button, an intensity slider and the intensity.
+    FMODSnapshotPanel.prototype.renderSnapshot = function(snapshot)
+    {
+        var player = this.player;
+        var path = snapshot.path;
+        var row = document.createElement("div");
+        var name = document.createElement("span");
+        var button = document.createElement("button");
+        var slider = document.createElement("input");
+        var value = document.createElement("output");
+
+        name.textContent = path.replace(/^snapshot:\//, "");
+
+        button.type = "button";
+        button.addEventListener('click', function()
+        {
+            if (player.isSnapshotActive(path))
+            {
+                player.stopSnapshot(path);
+            }
+            else
+            {
+                player.requestEvent(path).then(function() { player.startSnapshot(path); }, function() {});
+            }
+        });
+
+        slider.type = "range";
+        slider.min = 0;
+        slider.max = 100;
+        slider.step = 1;
+        slider.setAttribute("aria-label", name.textContent + " intensity");
+        slider.addEventListener('input', function() { player.setSnapshotIntensity(path, Number(slider.value)); });
+
+        row.appendChild(name);
+        row.appendChild(button);
+        row.appendChild(slider);
+        row.appendChild(value);
+
+        this.rows[path] = { button: button, slider: slider, value: value };
+        this.update(path, snapshot.active, snapshot.intensity);
+
+        return row;
+    };
+
+    // Shows a snapshot's state and intensity, e.g. after it was started from code.
+    FMODSnapshotPanel.prototype.update = function(path, active, intensity)
+    {
+        var row = this.rows[path];
+
+        if (!row)
+        {
+            return;
+        }
+
+        row.button.textContent = active ? "Stop" : "Start";
+        row.button.setAttribute("aria-pressed", active);
+        row.slider.value = intensity;
+        row.value.textContent = Math.round(intensity) + "%";
+    };
+
+    window.FMODSnapshotPanel = FMODSnapshotPanel;
+
+})(window, document);
@@ -0,0 +1,343 @@
+/*==============================================================================
+FMOD Spatial Playground
+Top-down map of the player's event and the listener, after the Event 3D
+Example from the FMOD Studio API.  Both can be dragged around the canvas and
+turned with the facing sliders.  Their positions, velocities and facings are
+passed to FMOD every frame, so panning, attenuation and Doppler follow the
+drag.  Rings around the event show where its attenuation starts and ends.
+
+    var player = new FMODPlayer({ ... });
+    var playground = new FMODSpatialPlayground(player, "#spatial");
+    var playground = new FMODSpatialPlayground(player, "#spatial", { scale: 40, width: 800, height: 500 });
+
+The top of the map is forward, +z in FMOD, and the right is +x.  The event
+only moves in the mix if it has a spatializer in Studio, and only shifts
+pitch if Doppler is enabled on it.
+==============================================================================*/
+
+(function(window, document)
+{
+    var HANDLE_RADIUS = 12;             // Pixels around the event and listener that start a drag.
+    var MAX_FRAME_TIME = 0.25;          // Seconds between frames beyond which a move counts as a jump, with no velocity.
+
+    var COLORS = { listener: "#4a90d9", emitter: "#e0703a", rings: "#e0703a", grid: "#e8e8e8", text: "#333" };
+
+    // Returns the unit vector of a facing, in degrees clockwise from the top of the map.
+    function toForward(angle)
+    {
+        var radians = angle * Math.PI / 180;
+
+        return { x: Math.sin(radians), y: 0, z: Math.cos(radians) };
+    }
+
+    // Creates a playground inside the container element or selector.  options, all optional:
+    //   scale  - pixels per metre, 20 by default.
+    //   width  - canvas width in pixels, 600 by default.
+    //   height - canvas height in pixels, 400 by default.
+    function FMODSpatialPlayground(player, container, options)
+    {
+        var self = this;
+
+        options = options || {};
+
+        this.player = player;
+        this.container = typeof container === "string" ? document.querySelector(container) : container;
+        this.scale = options.scale || 20;
+        this.width = options.width || 600;
+        this.height = options.height || 400;
+
+        // Canvas positions in pixels and facings in degrees.  The event starts 5 metres in front of the listener.
+        this.listener = { x: this.width / 2, y: this.height / 2 + 2 * this.scale, angle: 0, last: null, velocity: null };
+        this.emitter = { x: this.width / 2, y: this.height / 2 - 3 * this.scale, angle: 180, last: null, velocity: null };
+
+        this.dragging = null;               // The listener or emitter being dragged.
+        this.distances = null;              // The event's { min, max }, or null for a 2D event.
+        this.lastTime = 0;
+        this.frame = null;
+
+        this.render();
+
+        player.on("ready", function()
+        {
+            self.distances = player.getMinMaxDistance();
+            self.start();
+        });
+        player.on("eventchange", function() { self.distances = player.getMinMaxDistance(); });
+        player.on("destroy", function() { self.stop(); });
+    }
+
+    // Builds the canvas, the facing sliders and the readout.
+    FMODSpatialPlayground.prototype.render = function()
+    {
+        var self = this;
+        var controls = document.createElement("div");
+
+        this.container.textContent = "";
+        this.container.classList.add("spatial-playground");
+
+        this.canvas = document.createElement("canvas");
+        this.canvas.width = this.width;
+        this.canvas.height = this.height;
+        this.canvas.style.touchAction = "none";
+        this.canvas.style.maxWidth = "100%";
+        this.canvas.setAttribute("aria-label", "Map of the event and the listener.  Drag either to move it.");
+        this.context = this.canvas.getContext("2d");
+
+        this.canvas.addEventListener('pointerdown', function(e) { self.startDrag(e); });
+        this.canvas.addEventListener('pointermove', function(e) { self.moveDrag(e); });
+        this.canvas.addEventListener('pointerup', function() { self.dragging = null; });
+        this.canvas.addEventListener('pointercancel', function() { self.dragging = null; });
+
+        controls.appendChild(this.renderFacing("Listener facing", this.listener));
+        controls.appendChild(this.renderFacing("Event facing", this.emitter));
+
+        this.readout = document.createElement("output");
+
+        this.container.appendChild(this.canvas);
+        this.container.appendChild(controls);
+        this.container.appendChild(this.readout);
+
+        this.draw();
+    };
+
+    // Renders a slider that turns the listener or the emitter.
+    FMODSpatialPlayground.prototype.renderFacing = function(label, object)
+    {
+        var self = this;
+        var row = document.createElement("label");
+        var name = document.createElement("span");
+        var slider = document.createElement("input");
+        var value = document.createElement("output");
+
+        name.textContent = label;
+
+        slider.type = "range";
+        slider.min = -180;
+        slider.max = 180;
+        slider.step = 1;
+        slider.value = object.angle > 180 ? object.angle - 360 : object.angle;
+        value.textContent = slider.value + "°";
+
+        slider.addEventListener('input', function()
+        {
+            object.angle = Number(slider.value);
+            value.textContent = slider.value + "°";
+            self.draw();
+        });
+
+        row.appendChild(name);
+        row.appendChild(slider);
+        row.appendChild(value);
+
+        return row;
+    };
+
+    // Returns the pointer's position in canvas pixels, which differ from CSS pixels when the canvas is scaled down.
+    FMODSpatialPlayground.prototype.getPoint = function(e)
+    {
+        var rect = this.canvas.getBoundingClientRect();
+
+        return {
+            x: Math.min(Math.max((e.clientX - rect.left) * this.width / rect.width, 0), this.width),
+            y: Math.min(Math.max((e.clientY - rect.top) * this.height / rect.height, 0), this.height)
+        };
+    };
+
+    // Picks up whichever of the listener and emitter is under the pointer, the nearer if both are.
+    FMODSpatialPlayground.prototype.startDrag = function(e)
+    {
+        var point = this.getPoint(e);
+        var nearest = null;
+        var nearestDistance = HANDLE_RADIUS * this.width / this.canvas.getBoundingClientRect().width;
+
+        [ this.listener, this.emitter ].forEach(function(object)
+        {
+            var distance = Math.sqrt(Math.pow(object.x - point.x, 2) + Math.pow(object.y - point.y, 2));
+
+            if (distance <= nearestDistance)
+            {
+                nearest = object;
+                nearestDistance = distance;
+            }
+        });
+
+        if (nearest)
+        {
+            this.dragging = nearest;
+            this.canvas.setPointerCapture(e.pointerId);
+            e.preventDefault();
+        }
+    };
+
+    // Moves the object being dragged to the pointer.  Its velocity is worked out on the next frame.
+    FMODSpatialPlayground.prototype.moveDrag = function(e)
+    {
+        var point;
+
+        if (!this.dragging)
+        {
+            return;
+        }
+
+        point = this.getPoint(e);
+        this.dragging.x = point.x;
+        this.dragging.y = point.y;
+    };
+
+    // Converts an object on the map into FMOD 3D attributes, in metres from the centre of the map.
+    FMODSpatialPlayground.prototype.toAttributes = function(object)
+    {
+        return {
+            position : { x: (object.x - this.width / 2) / this.scale, y: 0, z: (this.height / 2 - object.y) / this.scale },
+            velocity : object.velocity || { x: 0, y: 0, z: 0 },
+            forward  : toForward(object.angle),
+            up       : { x: 0, y: 1, z: 0 }
+        };
+    };
+
+    // Starts passing the positions to FMOD and drawing them, once per frame.
+    FMODSpatialPlayground.prototype.start = function()
+    {
+        var self = this;
+
+        function tick(time)
+        {
+            self.frame = window.requestAnimationFrame(tick);
+            self.update(time);
+        }
+
+        if (!this.frame)
+        {
+            this.lastTime = 0;
+            this.frame = window.requestAnimationFrame(tick);
+        }
+    };
+
+    // Stops the frame loop, e.g. when the player is destroyed.
+    FMODSpatialPlayground.prototype.stop = function()
+    {
+        if (this.frame)
+        {
+            window.cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+    };
+
+    // Works out each object's velocity from how far it moved since the last frame, then passes both to FMOD and redraws.
+    FMODSpatialPlayground.prototype.update = function(time)
+    {
+        var self = this;
+        var seconds = this.lastTime ? (time - this.lastTime) / 1000 : 0;
+
+        this.lastTime = time;
+
+        [ this.listener, this.emitter ].forEach(function(object)
+        {
+            var moved = object.last && seconds > 0 && seconds < MAX_FRAME_TIME;
+
+            object.velocity = {
+                x: moved ? (object.x - object.last.x) / self.scale / seconds : 0,
+                y: 0,
+                z: moved ? (object.last.y - object.y) / self.scale / seconds : 0
+            };
+            object.last = { x: object.x, y: object.y };
+        });
+
+        this.player.setListenerAttributes(this.toAttributes(this.listener));
+        this.player.set3DAttributes(this.toAttributes(this.emitter));
+
+        this.draw();
+    };
+
+    // Updates the readout, then draws the grid, the attenuation rings, the event and the listener.
+    FMODSpatialPlayground.prototype.draw = function()
+    {
+        var context = this.context;
+        var scale = this.scale;
+        var listener = this.listener;
+        var emitter = this.emitter;
+        var distance = Math.sqrt(Math.pow(emitter.x - listener.x, 2) + Math.pow(emitter.y - listener.y, 2)) / scale;
+        var speed = listener.velocity && emitter.velocity
+            ? Math.sqrt(Math.pow(emitter.velocity.x - listener.velocity.x, 2) + Math.pow(emitter.velocity.z - listener.velocity.z, 2))
+            : 0;
+        var x;
+        var y;
+
+        this.readout.textContent = "Distance " + distance.toFixed(1) + " m"
+            + (this.distances ? " (attenuation " + this.distances.min + " to " + this.distances.max + " m)" : this.player.state == "ready" ? ", 2D event" : "")
+            + (speed >= 0.1 ? ", relative speed " + speed.toFixed(1) + " m/s" : "");
+
+        if (!context)
+        {
+            return;
+        }
+
+        context.clearRect(0, 0, this.width, this.height);
+
+        // A line every metre, from the centre out.
+        context.strokeStyle = COLORS.grid;
+        context.lineWidth = 1;
+        context.beginPath();
+        for (x = (this.width / 2) % scale; x < this.width; x += scale)
+        {
+            context.moveTo(Math.round(x) + 0.5, 0);
+            context.lineTo(Math.round(x) + 0.5, this.height);
+        }
+        for (y = (this.height / 2) % scale; y < this.height; y += scale)
+        {
+            context.moveTo(0, Math.round(y) + 0.5);
+            context.lineTo(this.width, Math.round(y) + 0.5);
+        }
+        context.stroke();
+
+        // Full volume inside the min ring, silent or at its quietest beyond the max ring.
+        if (this.distances)
+        {
+            context.strokeStyle = COLORS.rings;
+            context.setLineDash([]);
+            context.beginPath();
+            context.arc(emitter.x, emitter.y, this.distances.min * scale, 0, 2 * Math.PI);
+            context.stroke();
+
+            context.setLineDash([ 6, 4 ]);
+            context.beginPath();
+            context.arc(emitter.x, emitter.y, this.distances.max * scale, 0, 2 * Math.PI);
+            context.stroke();
+            context.setLineDash([]);
+        }
+
+        this.drawObject(emitter, COLORS.emitter, "Event");
+        this.drawObject(listener, COLORS.listener, "Listener");
+    };
+
+    // Draws the listener or emitter as a dot with a pointer in the direction it faces.
+    FMODSpatialPlayground.prototype.drawObject = function(object, color, label)
+    {
+        var context = this.context;
+        var radians = object.angle * Math.PI / 180;
+        var tipX = object.x + Math.sin(radians) * HANDLE_RADIUS * 1.8;
+        var tipY = object.y - Math.cos(radians) * HANDLE_RADIUS * 1.8;
+
+        context.fillStyle = color;
+        context.strokeStyle = color;
+        context.lineWidth = 3;
+
+        context.beginPath();
+        context.arc(object.x, object.y, HANDLE_RADIUS * 0.75, 0, 2 * Math.PI);
+        context.fill();
+
+        context.beginPath();
+        context.moveTo(object.x, object.y);
+        context.lineTo(tipX, tipY);
+        context.stroke();
+
+        context.lineWidth = 1;
+        context.fillStyle = COLORS.text;
+        context.font = "12px sans-serif";
+        context.textAlign = "center";
+        context.fillText(label, object.x, object.y + HANDLE_RADIUS + 14);
+    };
+
+    window.FMODSpatialPlayground = FMODSpatialPlayground;
+
+})(window, document);
@@ -0,0 +1,97 @@
+/*==============================================================================
+FMOD Unlock Overlay
+Covers the page with a "tap to enable sound" button while the browser is
+holding audio back, either before the first user gesture or after audio was
+interrupted, e.g. by a phone call.
+
+    var player = new FMODPlayer({ ... });
+    var overlay = new FMODUnlockOverlay(player);
+    var overlay = new FMODUnlockOverlay(player, { text: "Enable sound" });
+
+Any gesture on the page unlocks audio, the overlay's button just gives it an
+obvious target.  The overlay is a modal dialog with its button focused, so it
+can be dismissed from the keyboard, and it hands focus back once audio runs.
+==============================================================================*/
+
+(function(window, document)
+{
+    // Messages for each unlock state the overlay shows in.
+    var MESSAGES = {
+        locked     : "Tap to enable sound",
+        unlocking  : "Starting sound...",
+        interrupted: "Sound was interrupted. Tap to resume."
+    };
+
+    // Creates the overlay for the player's unlock state.  options.text replaces the locked message.
+    function FMODUnlockOverlay(player, options)
+    {
+        var self = this;
+
+        this.player = player;
+        this.messages = {};
+        for (var state in MESSAGES)
+        {
+            this.messages[state] = MESSAGES[state];
+        }
+        if (options && options.text)
+        {
+            this.messages.locked = options.text;
+        }
+
+        this.visible = false;
+        this.focus = null;                  // Element that had focus before the overlay took it.
+        this.element = document.createElement("div");
+        this.button = document.createElement("button");
+
+        this.element.className = "fmod-unlock";
+        this.element.setAttribute("role", "dialog");
+        this.element.setAttribute("aria-modal", "true");
+        this.element.setAttribute("aria-label", "Sound");
+        this.element.style.cssText = "position: fixed; inset: 0; z-index: 999; display: none; align-items: center; justify-content: center;"
+            + "background: rgba(0, 0, 0, 0.6);";
+
+        this.button.type = "button";
+        this.button.className = "fmod-unlock-button";
+        this.button.style.cssText = "padding: 16px 28px; font-size: 1.1rem; cursor: pointer;";
+
+        this.element.appendChild(this.button);
+        document.body.appendChild(this.element);
+
+        // The gesture itself unlocks audio; the overlay only needs to wait for the state to follow.
+        player.on("audiostate", function(state) { self.update(state); });
+        player.on("destroy", function() { self.element.remove(); });
+
+        this.update(player.getAudioState());
+    }
+
+    // Shows the overlay with the message for the state, or hides it once audio is running.
+    FMODUnlockOverlay.prototype.update = function(state)
+    {
+        var visible = state != "running";
+
+        this.button.textContent = this.messages[state] || "";
+        this.button.disabled = state == "unlocking";
+
+        if (visible && !this.visible)
+        {
+            this.focus = document.activeElement;
+            this.element.style.display = "flex";
+            this.button.focus();
+        }
+        else if (!visible && this.visible)
+        {
+            this.element.style.display = "none";
+
+            if (this.focus && this.focus.focus && document.contains(this.focus))
+            {
+                this.focus.focus();
+            }
+            this.focus = null;
+        }
+
+        this.visible = visible;
+    };
+
+    window.FMODUnlockOverlay = FMODUnlockOverlay;
+
+})(window, document);
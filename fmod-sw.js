@@ -0,0 +1,180 @@
+/*==============================================================================
+FMOD Offline Cache
+Service worker that keeps the FMOD banks and runtime (fmodstudio.js and its
+.wasm or .mem) in Cache Storage, so repeat visits start without downloading
+them, along with the FMOD pages, their scripts and the manifests, so the
+demos work with no network.
+
+Registered by the FMOD player when its config turns offline on and names a
+bank manifest:
+
+    var player = new FMODPlayer({ ..., offline: true, manifest: "/assets/media/banks.json" });
+
+The version, passed in the worker's URL, is worked out from the bank hashes
+in the manifest.  A new export changes it, which installs a new worker that
+starts an empty cache and deletes the old one.  A request made with
+cache: "reload", as the player does for a bank that fails its check, goes to
+the server and replaces the cached copy.  Pages, scripts and manifests come
+from the network whenever there is one, so edits to them show straight away;
+their cached copies are only for when there is not.  It lives at the site
+root so its scope covers every page.
+==============================================================================*/
+
+var VERSION = new URL(self.location).searchParams.get("v") || "0";
+var CACHE_PREFIX = "fmod-";
+var CACHE_NAME = CACHE_PREFIX + VERSION;
+var CACHED_FILES = /\.bank$|\/fmodstudio[^\/]*\.(js|wasm|mem)$/;  // Paths served from the cache: banks and every build of the runtime.
+
+// Files the pages need to start with no network, stored when the worker installs.
+var SHELL_FILES = [
+    "Fmod_testing.html",
+    "Fmod_spatial.html",
+    "Fmod_demos.html",
+    "HalvardTesting.html",
+    "HalvardTesting_copy.html",
+    "assets/js/fmodloader.js",
+    "assets/js/fmodplayer.js",
+    "assets/js/fmodhud.js",
+    "assets/js/fmodunlock.js",
+    "assets/js/fmodbrowser.js",
+    "assets/js/fmodparameters.js",
+    "assets/js/fmodmixer.js",
+    "assets/js/fmodplaylist.js",
+    "assets/js/fmodsnapshots.js",
+    "assets/js/fmodconsole.js",
+    "assets/js/fmodspatial.js",
+    "assets/js/fmoddemos.js",
+    "assets/media/banks.json",
+    "assets/media/demos.json"
+];
+var SHELL_URLS = SHELL_FILES.map(function(file) { return new URL(file, self.location).href; });
+
+// Stores the pages and their scripts, then takes over straight away, rather than waiting for every page using the
+// old version to close.
+self.addEventListener('install', function(event)
+{
+    self.skipWaiting();
+
+    event.waitUntil(caches.open(CACHE_NAME).then(function(cache)
+    {
+        return Promise.all(SHELL_FILES.map(function(file)
+        {
+            // A file that cannot be fetched now is stored the next time a page asks for it.
+            return cache.add(file).catch(function() {});
+        }));
+    }));
+});
+
+// Deletes the caches of older versions and starts serving the pages already open.
+self.addEventListener('activate', function(event)
+{
+    event.waitUntil(caches.keys().then(function(names)
+    {
+        return Promise.all(names.filter(function(name)
+        {
+            return name.indexOf(CACHE_PREFIX) == 0 && name != CACHE_NAME;
+        })
+        .map(function(name)
+        {
+            return caches.delete(name);
+        }));
+    })
+    .then(function()
+    {
+        return self.clients.claim();
+    }));
+});
+
+// Serves banks and the runtime from the cache, downloading and storing them the first time, or whenever the page
+// asks for a fresh copy.  Pages and their scripts come from the network, falling back to the cache.
+self.addEventListener('fetch', function(event)
+{
+    var request = event.request;
+    var url = request.url.split("#")[0];
+    var fresh = request.cache == "reload" || request.cache == "no-cache" || request.cache == "no-store";
+
+    if (request.method != "GET")
+    {
+        return;
+    }
+
+    if (request.mode == "navigate" || SHELL_URLS.indexOf(url.split("?")[0]) != -1)
+    {
+        event.respondWith(fromNetwork(request));
+        return;
+    }
+
+    if (!CACHED_FILES.test(new URL(url).pathname))
+    {
+        return;
+    }
+
+    event.respondWith(caches.open(CACHE_NAME).then(function(cache)
+    {
+        return (fresh ? Promise.resolve(null) : cache.match(request)).then(function(cached)
+        {
+            return cached || fetch(request).then(function(response)
+            {
+                // A script from another site without CORS comes back opaque, which is still fine to replay.
+                if (response.status == 200 || response.type == "opaque")
+                {
+                    cache.put(request, response.clone());
+                }
+
+                return response;
+            });
+        });
+    }));
+});
+
+// Downloads a page or script, storing the copy for when there is no network, and serves the stored copy when the
+// download fails.  A page's stored copy stands in for it with any query, e.g. Fmod_demos.html?demo=music.
+function fromNetwork(request)
+{
+    return caches.open(CACHE_NAME).then(function(cache)
+    {
+        return fetch(request).then(function(response)
+        {
+            if (response.status == 200 && response.type == "basic")
+            {
+                cache.put(request, response.clone());
+            }
+
+            return response;
+        }, function(err)
+        {
+            return cache.match(request, { ignoreSearch: true }).then(function(cached)
+            {
+                if (!cached)
+                {
+                    throw err;
+                }
+
+                return cached;
+            });
+        });
+    });
+}
+
+// Stores files the page fetched before this worker was controlling it: { type: "cache", urls: [ ... ] }.
+self.addEventListener('message', function(event)
+{
+    var data = event.data || {};
+
+    if (data.type != "cache")
+    {
+        return;
+    }
+
+    event.waitUntil(caches.open(CACHE_NAME).then(function(cache)
+    {
+        return Promise.all((data.urls || []).map(function(url)
+        {
+            return cache.match(url).then(function(cached)
+            {
+                // Files that cannot be fetched now are stored the next time the page asks for them.
+                return cached || cache.add(url).catch(function() {});
+            });
+        }));
+    }));
+});